@@ -0,0 +1,82 @@
+const fs = require('fs');
+
+// Pronunciations the aligner can't work out for itself - names, jargon,
+// scripture references - kept in a JSON file next to the transcription
+// instead of in code. Each key is a spelling in the book (one or more
+// words), each value how Whisper writes it when read aloud, or a list of
+// the ways it has:
+//
+//   { "Bredensteiner": ["Brennsteiner", "Brettensteiner"], "Rom. 12:2": "Romans 12 2" }
+
+class AliasError extends Error {
+    constructor(filePath, message) {
+        super(`Invalid alias file ${filePath}: ${message}`);
+        this.name = 'AliasError';
+    }
+}
+
+// [{ written, heard: [spoken forms] }]
+function readAliases(filePath) {
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new AliasError(filePath, `not valid JSON: ${error.message}`);
+    }
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new AliasError(filePath, 'expected an object of "book spelling": "spoken form" entries');
+    }
+
+    return Object.keys(entries).map(written => {
+        const heard = [].concat(entries[written]);
+        if (!written.trim() || heard.length === 0 || heard.some(form => typeof form !== 'string' || !form.trim())) {
+            throw new AliasError(filePath, `"${written}" must map to a spoken form or a list of them`);
+        }
+        return { written, heard };
+    });
+}
+
+// Start indices of every run of texts that spells out the phrase
+function findPhrase(texts, phrase) {
+    const target = phrase.trim().split(/\s+/).map(aliasKey);
+    const keys = texts.map(aliasKey);
+    const starts = [];
+    for (let i = 0; i + target.length <= keys.length; i++) {
+        if (target.every((key, offset) => keys[i + offset] === key)) starts.push(i);
+    }
+    return starts;
+}
+
+// Share a key out over several words, in proportion to their sizes, so run
+// together they still read the same. Every share gets at least one character
+function shareKey(key, sizes) {
+    const total = sizes.reduce((sum, size) => sum + Math.max(size, 1), 0);
+    const shares = [];
+    let from = 0;
+    let covered = 0;
+    sizes.forEach((size, index) => {
+        covered += Math.max(size, 1);
+        const remaining = sizes.length - index - 1;
+        const to = index === sizes.length - 1
+            ? key.length
+            : Math.min(Math.max(from + 1, Math.round(key.length * covered / total)), key.length - remaining);
+        shares.push(key.slice(from, to));
+        from = to;
+    });
+    return shares;
+}
+
+function aliasKey(text) {
+    return text
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/[‘’“”"]/g, '')
+        .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+module.exports = {
+    readAliases,
+    findPhrase,
+    shareKey,
+    AliasError
+};
@@ -0,0 +1,809 @@
+const { narratedTexts } = require('./document-model');
+const { spokenWords } = require('./spoken-forms');
+const { fuzzyMatch, fuzzyThresholds } = require('./fuzzy-match');
+const { findPhrase, shareKey } = require('./aliases');
+const { locateOverride, describeOverride } = require('./overrides');
+const { chapterIdFor } = require('./chapters');
+
+// The PDF's narrated words are aligned to the transcription as two whole
+// sequences (Needleman-Wunsch), so a retake or a skipped sentence only costs
+// the words involved instead of throwing the rest of a chapter off. To keep
+// that fast on a whole book, words are first pinned at anchors - three-word
+// runs that occur exactly once on each side - and only the stretches between
+// anchors are aligned, within a band around their diagonal.
+//
+// Words are compared as they are spoken (see spoken-forms.js), and a few
+// words on one side may match a few on the other when they read the same run
+// together: "de-escalation" is heard as "de escalation", "10,737,418" is
+// transcribed as "10 737 418". Words that don't match exactly can still
+// match as near misses (see fuzzy-match.js), for less than an exact match;
+// those are listed in the gap log to be checked. Aliases (see aliases.js)
+// say how words the rules get wrong are spoken, and overrides (see
+// overrides.js) pin down what the alignment still gets wrong.
+//
+// A book narrated as several recordings is aligned one recording at a time,
+// each against its own transcription and only the chapters read in it
+
+const ANCHOR_LENGTH = 3; // Words in an anchor run
+const BAND_WIDTH = 100; // Extra words either side of a stretch's diagonal the alignment may wander
+const MATCH_SCORE = 2;
+const FUZZY_SCORE = 1;
+const MISMATCH_SCORE = -1;
+const GAP_SCORE = -1;
+const MAX_SPAN = 5; // Most words on either side of one block match
+const LOOK_AHEAD_WINDOW = 10; // Of the original greedy matcher, kept for comparison
+
+// Confidence in a word's timing, by how it was matched, less penalties for
+// words skipped just before it and for a Whisper duration that doesn't fit
+// the word's length
+const CONFIDENCE = {
+    override: 1,
+    exact: 1,
+    normalized: 0.9,
+    alias: 0.85,
+    fuzzy: 0.6,
+    estimated: 0.3
+};
+const SKIP_PENALTY = 0.05; // Per word skipped on either side before a match
+const MAX_SKIP_PENALTY = 0.3;
+const DURATION_PENALTY = 0.2;
+const SECONDS_PER_CHARACTER = { min: 0.02, max: 0.6 }; // Plausible speaking rates
+const MIN_DURATION = 0.05;
+const MIN_ESTIMATED_DURATION = 0.3; // Long enough for the player to catch an estimated word playing
+const CONFIDENCE_BANDS = 5; // Histogram bands, from 0 to 1
+
+const MOVE_MATCH = 1;
+const MOVE_SKIP_PDF = 2;
+const MOVE_SKIP_TRANSCRIPTION = 3;
+const MOVE_BLOCK = 4; // MOVE_BLOCK + (a - 1) * MAX_SPAN + (b - 1): a PDF words matched b transcription words
+
+// Audio enhancement variables
+let transcriptionData = null;
+let transcriptionWords = []; // Match keys of the transcription words (see matchKeys)
+let allPdfWords = []; // Store all PDF words for the gap log
+let thresholds = fuzzyThresholds();
+let pins = []; // Overrides' { pdfIndex, transcriptionIndex } pairs, which the alignment must keep
+let gapLog = {
+    matches: [],
+    gaps: [],
+    fuzzyMatches: [],
+    aliases: [],
+    sequenceCounter: 0
+};
+
+// Align every recording's chapters with its transcription and give each
+// matched word its timing, with timing.recording its recording's position in
+// the list. recordings are [{ transcription, chapters? }]: transcription null
+// when there is none yet, chapters left out when one recording is the whole
+// book. options.fuzzy overrides the fuzzy match thresholds, options.aliases
+// is a list from readAliases and options.overrides one from readOverrides
+function alignRecordings(model, recordings, options = {}) {
+    const results = recordings.map((recording, number) => (recording.transcription
+        ? alignDocument(model, recording.transcription, { ...options, chapters: recording.chapters, recording: number })
+        : null));
+    const aligned = results.filter(Boolean);
+    const sum = key => aligned.reduce((total, result) => total + result[key], 0);
+
+    // An override only applies in the recording its words are in, and only
+    // its first warning counts
+    const warnings = new Map();
+    const located = new Set();
+    aligned.forEach(result => result.overrides.located.forEach(override => located.add(override)));
+    aligned.forEach(result => result.overrides.warnings.forEach(({ override, warning }) => {
+        if (!warnings.has(override)) warnings.set(override, warning);
+    }));
+    aligned.forEach(result => result.overrides.missing.forEach(({ override, warning }) => {
+        if (!located.has(override) && !warnings.has(override)) warnings.set(override, warning);
+    }));
+
+    // Chapters no recording covers, and chapter names the book doesn't have
+    const bookChapters = [...new Set(narratedTexts(model).map(text => text.chapter))];
+    const recorded = new Set(recordings.flatMap(recording => recording.chapters || bookChapters).map(chapterIdFor));
+    const bookIds = new Set(bookChapters.map(chapterIdFor));
+
+    return {
+        matched: sum('matched'),
+        total: narratedTexts(model).reduce((total, text) => total + text.words.length, 0),
+        fuzzyMatched: sum('fuzzyMatched'),
+        estimated: sum('estimated'),
+        greedyMatched: sum('greedyMatched'),
+        usedTranscriptionWords: sum('usedTranscriptionWords'),
+        transcriptionWords: aligned.reduce((total, result) => total + result.transcriptionWords, 0),
+        aliases: (options.aliases || []).map((alias, index) => ({
+            written: alias.written,
+            heard: alias.heard,
+            occurrences: aligned.reduce((total, result) => total + result.aliases[index].occurrences, 0),
+            matched: aligned.reduce((total, result) => total + result.aliases[index].matched, 0)
+        })),
+        overrides: { applied: (options.overrides || []).length - warnings.size, warnings: [...warnings.values()] },
+        unrecordedChapters: bookChapters.filter(chapter => !recorded.has(chapterIdFor(chapter))),
+        unknownChapters: recordings.flatMap(recording => recording.chapters || []).filter(name => !bookIds.has(chapterIdFor(name))),
+        recordings: results
+    };
+}
+
+// One recording: options.chapters limits the book to the chapters read in it
+// and options.recording is its number
+function alignDocument(model, transcription, options = {}) {
+    transcriptionData = transcription;
+    thresholds = fuzzyThresholds(options.fuzzy);
+    transcriptionWords = transcription.words.map(word => matchKeys(word.word));
+    allPdfWords = [];
+    gapLog = {
+        matches: [],
+        gaps: [],
+        fuzzyMatches: [],
+        aliases: [],
+        sequenceCounter: 0
+    };
+
+    const modelWords = [];
+    narratedTexts(model, options.chapters).forEach(({ chapter, words }) => words.forEach(word => {
+        allPdfWords.push({
+            word: word.text,
+            index: allPdfWords.length,
+            chapter,
+            ...matchKeys(word.text)
+        });
+        modelWords.push(word);
+    }));
+
+    const aliasRuns = applyAliases(options.aliases || []);
+    const overrides = applyOverrides(options.overrides || [], modelWords);
+    const pairs = alignSequences();
+    applyAlignment(pairs, modelWords);
+    applyTimedOverrides(overrides.timed, modelWords);
+    const estimated = interpolateTimings(modelWords);
+    gapLog.aliases = aliasUsage(aliasRuns, pairs);
+    modelWords.forEach(word => {
+        if (word.timing) word.timing.recording = options.recording || 0;
+    });
+
+    return {
+        matched: pairs.reduce((total, pair) => total + pair.pdfLength, 0),
+        total: allPdfWords.length,
+        fuzzyMatched: gapLog.fuzzyMatches.length,
+        estimated,
+        greedyMatched: greedyAlignment().length,
+        usedTranscriptionWords: pairs.reduce((total, pair) => total + pair.length, 0),
+        transcriptionWords: transcription.words.length,
+        chapters: options.chapters,
+        aliases: gapLog.aliases,
+        overrides: { located: overrides.located, warnings: overrides.warnings, missing: overrides.missing },
+        gapLog
+    };
+}
+
+// Timings onto the model's words, plus the gap log of everything unmatched
+function applyAlignment(pairs, modelWords) {
+    let nextPdfIndex = 0;
+    let nextTranscriptionIndex = 0;
+
+    pairs.forEach(pair => {
+        for (; nextPdfIndex < pair.pdfIndex; nextPdfIndex++) {
+            if (!allPdfWords[nextPdfIndex].unnarrated) recordGap('pdf_missing', nextTranscriptionIndex, nextTranscriptionIndex, nextPdfIndex);
+        }
+        if (pair.transcriptionIndex > nextTranscriptionIndex) {
+            recordGap('transcription_missing', nextTranscriptionIndex, pair.transcriptionIndex, pair.pdfIndex);
+        }
+
+        // Words passed over to reach this match, on both sides
+        let skipped = pair.transcriptionIndex - nextTranscriptionIndex;
+        for (let index = nextPdfIndex; index < pair.pdfIndex; index++) {
+            if (hasKey(allPdfWords[index])) skipped++;
+        }
+
+        blockTimings(pair).forEach((timing, offset) => {
+            const pdfIndex = pair.pdfIndex + offset;
+            timing.match = matchKind(pair, pdfIndex);
+            timing.confidence = confidence(timing, pdfIndex, offset === 0 ? skipped : 0);
+            modelWords[pdfIndex].timing = timing;
+
+            const matchRecord = {
+                pdfIndex,
+                transcriptionIndex: timing.index,
+                word: allPdfWords[pdfIndex].word,
+                timing: { start: timing.start, end: timing.end },
+                confidence: timing.confidence
+            };
+            gapLog.matches.push(matchRecord);
+            if (pair.pinned) matchRecord.override = true;
+            if (pair.fuzzy) {
+                matchRecord.fuzzy = true;
+                gapLog.fuzzyMatches.push({
+                    ...matchRecord,
+                    heard: transcriptionData.words[timing.index].word,
+                    distance: pair.fuzzy.distance,
+                    phonetic: pair.fuzzy.phonetic
+                });
+            }
+
+            // Update the afterMatch reference for the most recent gap
+            if (gapLog.gaps.length > 0 && !gapLog.gaps[gapLog.gaps.length - 1].afterMatch) {
+                gapLog.gaps[gapLog.gaps.length - 1].afterMatch = matchRecord;
+            }
+        });
+
+        nextPdfIndex = pair.pdfIndex + pair.pdfLength;
+        nextTranscriptionIndex = pair.transcriptionIndex + pair.length;
+    });
+
+    for (; nextPdfIndex < allPdfWords.length; nextPdfIndex++) {
+        if (!allPdfWords[nextPdfIndex].unnarrated) recordGap('pdf_missing', nextTranscriptionIndex, nextTranscriptionIndex, nextPdfIndex);
+    }
+}
+
+// Give every place an alias's spelling appears in the book the alias's
+// spoken form as its key, and have the alias's other spoken forms read as
+// the first one on the transcription side. Returns, per alias, the runs of
+// PDF word indices it applied to
+function applyAliases(aliases) {
+    const rekey = (words, start, length, key) => {
+        const run = words.slice(start, start + length);
+        shareKey(key, run.map(word => word.clean.length)).forEach((share, offset) => {
+            run[offset].clean = share;
+            run[offset].digits = '';
+        });
+    };
+    const spokenKey = form => form.trim().split(/\s+/).map(normalizeWord).join('');
+
+    return aliases.map(alias => {
+        const key = spokenKey(alias.heard[0]);
+        const length = alias.written.trim().split(/\s+/).length;
+        const runs = findPhrase(allPdfWords.map(word => word.word), alias.written).map(start => {
+            rekey(allPdfWords, start, length, key);
+            allPdfWords.slice(start, start + length).forEach(word => { word.alias = true; });
+            return Array.from({ length }, (_, offset) => start + offset);
+        });
+
+        const heardTexts = transcriptionData.words.map(word => word.word);
+        alias.heard.slice(1).forEach(form => {
+            const formLength = form.trim().split(/\s+/).length;
+            findPhrase(heardTexts, form).forEach(start => rekey(transcriptionWords, start, formLength, key));
+        });
+
+        return { alias, runs };
+    });
+}
+
+// Unnarrated spans drop out of the alignment, and pins to transcription words
+// are kept for alignSequences. Explicit times are returned to be applied
+// once the rest is aligned, and overrides whose words aren't in these
+// chapters as missing
+function applyOverrides(overrides, modelWords) {
+    const warnings = [];
+    const located = [];
+    const missing = [];
+    const timed = [];
+    const pinned = [];
+    const heardTexts = transcriptionData.words.map(word => word.word);
+
+    overrides.forEach(override => {
+        const warn = message => warnings.push({ override, warning: `${describeOverride(override)}: ${message}` });
+        const target = locateOverride(override, allPdfWords);
+        if (target.missing) {
+            missing.push({ override, warning: `${describeOverride(override)}: ${target.warning}` });
+            return;
+        }
+        located.push(override);
+        if (target.warning) {
+            warn(target.warning);
+            return;
+        }
+
+        if (override.unnarrated) {
+            for (let pdfIndex = target.pdfIndex; pdfIndex < target.pdfIndex + target.length; pdfIndex++) {
+                Object.assign(allPdfWords[pdfIndex], { clean: '', digits: '', unnarrated: true });
+                modelWords[pdfIndex].narrated = false;
+            }
+        } else if (override.transcriptionIndex !== undefined) {
+            if (override.transcriptionIndex + target.length > transcriptionWords.length) {
+                warn(`the transcription has no word ${override.transcriptionIndex + target.length - 1}`);
+                return;
+            }
+            if (override.heard !== undefined) {
+                const heardLength = override.heard.trim().split(/\s+/).length;
+                if (findPhrase(heardTexts.slice(override.transcriptionIndex, override.transcriptionIndex + heardLength), override.heard).length === 0) {
+                    warn(`transcription word ${override.transcriptionIndex} is now "${heardTexts[override.transcriptionIndex]}", not "${override.heard}"`);
+                    return;
+                }
+            }
+            for (let offset = 0; offset < target.length; offset++) {
+                pinned.push({ pdfIndex: target.pdfIndex + offset, transcriptionIndex: override.transcriptionIndex + offset, override });
+            }
+        } else {
+            timed.push({ ...target, start: override.start, end: override.end });
+        }
+    });
+
+    // Pins have to agree with each other on the order of things
+    pinned.sort((a, b) => a.pdfIndex - b.pdfIndex);
+    pins = longestIncreasingChain(pinned);
+    const dropped = new Set(pinned.filter(pin => !pins.includes(pin)).map(pin => pin.override));
+    dropped.forEach(override => warnings.push({ override, warning: `${describeOverride(override)}: pins words out of order with other overrides` }));
+
+    return { timed, warnings, located, missing };
+}
+
+// Explicit times, shared out over the words by length; they replace whatever
+// the alignment found
+function applyTimedOverrides(timed, modelWords) {
+    const timedIndices = new Set();
+    timed.forEach(({ pdfIndex, length, start, end }) => {
+        const sizes = allPdfWords.slice(pdfIndex, pdfIndex + length).map(word => Math.max(word.word.length, 1));
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        let at = start;
+        sizes.forEach((size, offset) => {
+            const timing = { start: at, end: at + (end - start) * size / total };
+            at = timing.end;
+            const index = Math.max(0, transcriptionData.words.findIndex(word => word.start > timing.start) - 1);
+            modelWords[pdfIndex + offset].timing = { ...timing, index, match: 'override', confidence: CONFIDENCE.override };
+            timedIndices.add(pdfIndex + offset);
+
+            const matchRecord = gapLog.matches.find(match => match.pdfIndex === pdfIndex + offset);
+            if (matchRecord) {
+                Object.assign(matchRecord, { transcriptionIndex: index, timing, override: true });
+            } else {
+                gapLog.matches.push({ pdfIndex: pdfIndex + offset, transcriptionIndex: index, word: allPdfWords[pdfIndex + offset].word, timing, override: true });
+            }
+        });
+    });
+    gapLog.gaps = gapLog.gaps.filter(gap => gap.type !== 'pdf_missing' || !timedIndices.has(gap.gapIndices[0]));
+}
+
+// Unmatched words between two timed ones share out the time between them by
+// length, so every spoken word can highlight; these timings are marked
+// estimated, and have no transcription index. When the timed words leave too
+// little time between them, up to half of each one's own is borrowed.
+// Returns how many words were estimated
+function interpolateTimings(modelWords) {
+    const speakable = allPdfWords.map(word => hasKey(word) && !word.unnarrated);
+    let estimated = 0;
+    let previous = null; // Index of the last timed word
+    let run = [];
+
+    allPdfWords.forEach((pdfWord, pdfIndex) => {
+        if (!speakable[pdfIndex]) return;
+        if (!modelWords[pdfIndex].timing) {
+            run.push(pdfIndex);
+            return;
+        }
+        if (previous !== null && run.length > 0) {
+            const from = modelWords[previous].timing;
+            const to = modelWords[pdfIndex].timing;
+            const sizes = run.map(index => Math.max(allPdfWords[index].clean.length, 1));
+            const total = sizes.reduce((sum, size) => sum + size, 0);
+            const { start, end } = borrowTime(from, to, run.length * MIN_ESTIMATED_DURATION);
+            // Each word gets the same minimum, and the rest goes by length
+            const minimum = Math.min(MIN_ESTIMATED_DURATION, (end - start) / run.length);
+            const rest = end - start - minimum * run.length;
+            let at = start;
+            run.forEach((index, offset) => {
+                const wordEnd = at + minimum + rest * sizes[offset] / total;
+                modelWords[index].timing = { start: at, end: wordEnd, estimated: true, match: 'estimated', confidence: CONFIDENCE.estimated };
+                at = wordEnd;
+            });
+            estimated += run.length;
+        }
+        previous = pdfIndex;
+        run = [];
+    });
+
+    return estimated;
+}
+
+// The time between two timed words, made up to needed seconds if it can be
+// by shortening them, half of each one's time at most
+function borrowTime(from, to, needed) {
+    let start = Math.min(from.end, to.start);
+    let end = to.start;
+    const short = needed - (end - start);
+    if (short > 0) {
+        const fromRoom = Math.max(0, (start - from.start) / 2);
+        const toRoom = Math.max(0, (to.end - end) / 2);
+        const fromTaken = Math.min(fromRoom, Math.max(short / 2, short - toRoom));
+        const toTaken = Math.min(toRoom, short - fromTaken);
+        start -= fromTaken;
+        end += toTaken;
+        from.end = Math.min(from.end, start);
+        to.start = end;
+    }
+    return { start, end };
+}
+
+// How a PDF word in a matched block was matched: exact when the words are
+// spelled the same, normalized when they only read the same
+function matchKind(pair, pdfIndex) {
+    if (pair.pinned) return 'override';
+    if (pair.fuzzy) return 'fuzzy';
+    if (allPdfWords[pdfIndex].alias) return 'alias';
+    const spelling = text => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (pair.pdfLength === 1 && pair.length === 1
+        && spelling(allPdfWords[pdfIndex].word) === spelling(transcriptionData.words[pair.transcriptionIndex].word)) {
+        return 'exact';
+    }
+    return 'normalized';
+}
+
+function confidence(timing, pdfIndex, skipped) {
+    let score = CONFIDENCE[timing.match];
+    if (timing.match !== 'override') {
+        score -= Math.min(skipped * SKIP_PENALTY, MAX_SKIP_PENALTY);
+
+        const duration = timing.end - timing.start;
+        const perCharacter = duration / Math.max(allPdfWords[pdfIndex].clean.length, 1);
+        if (duration < MIN_DURATION || perCharacter < SECONDS_PER_CHARACTER.min || perCharacter > SECONDS_PER_CHARACTER.max) {
+            score -= DURATION_PENALTY;
+        }
+    }
+    return Math.round(Math.max(0, score) * 100) / 100;
+}
+
+// Per chapter, how many narrated words fall in each confidence band (the
+// last band includes 1), and how many have no timing at all
+function confidenceHistograms(model) {
+    const chapters = new Map();
+    narratedTexts(model).forEach(({ chapter, words }) => {
+        if (!chapters.has(chapter)) chapters.set(chapter, { chapter, bands: new Array(CONFIDENCE_BANDS).fill(0), untimed: 0 });
+        const histogram = chapters.get(chapter);
+        words.forEach(word => {
+            if (word.narrated === false || !hasKey(matchKeys(word.text))) return;
+            if (!word.timing || word.timing.confidence === undefined) {
+                histogram.untimed++;
+                return;
+            }
+            histogram.bands[Math.min(Math.floor(word.timing.confidence * CONFIDENCE_BANDS), CONFIDENCE_BANDS - 1)]++;
+        });
+    });
+    return [...chapters.values()];
+}
+
+// { written, heard, occurrences, matched } per alias - an alias that never
+// matches (or no longer appears in the book) is stale
+function aliasUsage(aliasRuns, pairs) {
+    const matchedPdf = new Set();
+    pairs.forEach(pair => {
+        for (let offset = 0; offset < pair.pdfLength; offset++) matchedPdf.add(pair.pdfIndex + offset);
+    });
+    return aliasRuns.map(({ alias, runs }) => ({
+        written: alias.written,
+        heard: alias.heard,
+        occurrences: runs.length,
+        matched: runs.filter(run => run.some(index => matchedPdf.has(index))).length
+    }));
+}
+
+// Timings for the PDF words of a matched block. A single PDF word spans all
+// its transcription words; several share out the time by how much of the
+// block's spoken text each one is
+function blockTimings(pair) {
+    const first = transcriptionData.words[pair.transcriptionIndex];
+    const last = transcriptionData.words[pair.transcriptionIndex + pair.length - 1];
+    if (pair.pdfLength === 1) {
+        return [{ start: first.start, end: last.end, index: pair.transcriptionIndex }];
+    }
+
+    const spoken = [];
+    let position = 0;
+    for (let index = pair.transcriptionIndex; index < pair.transcriptionIndex + pair.length; index++) {
+        const size = transcriptionWords[index][pair.key].length;
+        spoken.push({ index, from: position, to: position + size });
+        position += size;
+    }
+    // The time at a position in the block's text; at a boundary between two
+    // words, a PDF word starts with the later one and ends with the earlier one
+    const timeAt = (at, starting) => {
+        const part = spoken.find(candidate => (starting ? at < candidate.to : at <= candidate.to)) || spoken[spoken.length - 1];
+        const word = transcriptionData.words[part.index];
+        const fraction = part.to > part.from ? (at - part.from) / (part.to - part.from) : 0;
+        return { time: word.start + (word.end - word.start) * fraction, index: part.index };
+    };
+
+    const timings = [];
+    position = 0;
+    for (let pdfIndex = pair.pdfIndex; pdfIndex < pair.pdfIndex + pair.pdfLength; pdfIndex++) {
+        const start = timeAt(position, true);
+        position += allPdfWords[pdfIndex][pair.key].length;
+        timings.push({ start: start.time, end: timeAt(position, false).time, index: start.index });
+    }
+    return timings;
+}
+
+// Matched blocks { pdfIndex, pdfLength, transcriptionIndex, length, key } in order
+function alignSequences() {
+    const pairs = [];
+    let pdfStart = 0;
+    let transcriptionStart = 0;
+
+    mergePins(findAnchors()).forEach(anchor => {
+        alignStretch(pdfStart, anchor.pdfIndex, transcriptionStart, anchor.transcriptionIndex)
+            .forEach(pair => pairs.push(pair));
+        pairs.push({ pdfIndex: anchor.pdfIndex, pdfLength: 1, transcriptionIndex: anchor.transcriptionIndex, length: 1, key: 'clean', pinned: Boolean(anchor.override) });
+        pdfStart = anchor.pdfIndex + 1;
+        transcriptionStart = anchor.transcriptionIndex + 1;
+    });
+    alignStretch(pdfStart, allPdfWords.length, transcriptionStart, transcriptionWords.length)
+        .forEach(pair => pairs.push(pair));
+
+    return pairs;
+}
+
+// Runs of words unique to both sequences, reduced to the longest chain that
+// keeps both in order (a run repeated out of place can't pull the alignment)
+function findAnchors() {
+    const runsOf = words => {
+        const runs = new Map();
+        for (let i = 0; i + ANCHOR_LENGTH <= words.length; i++) {
+            const run = words.slice(i, i + ANCHOR_LENGTH);
+            if (run.some(word => !word)) continue;
+            const key = run.join(' ');
+            runs.set(key, runs.has(key) ? -1 : i);
+        }
+        return runs;
+    };
+    const pdfRuns = runsOf(allPdfWords.map(word => word.clean));
+    const transcriptionRuns = runsOf(transcriptionWords.map(word => word.clean));
+
+    const candidates = [];
+    pdfRuns.forEach((pdfIndex, key) => {
+        const transcriptionIndex = transcriptionRuns.get(key);
+        if (pdfIndex !== -1 && transcriptionIndex !== undefined && transcriptionIndex !== -1) {
+            candidates.push({ pdfIndex, transcriptionIndex });
+        }
+    });
+    candidates.sort((a, b) => a.pdfIndex - b.pdfIndex);
+
+    return longestIncreasingChain(candidates);
+}
+
+// Anchors plus the overrides' pins, dropping any anchor that disagrees with a pin
+function mergePins(anchors) {
+    if (pins.length === 0) return anchors;
+    const bounds = [{ pdfIndex: -1, transcriptionIndex: -1 }, ...pins, { pdfIndex: Infinity, transcriptionIndex: Infinity }];
+    const kept = anchors.filter(anchor => {
+        const next = bounds.findIndex(bound => bound.pdfIndex >= anchor.pdfIndex);
+        return bounds[next].pdfIndex !== anchor.pdfIndex
+            && anchor.transcriptionIndex > bounds[next - 1].transcriptionIndex
+            && anchor.transcriptionIndex < bounds[next].transcriptionIndex;
+    });
+    return [...kept, ...pins].sort((a, b) => a.pdfIndex - b.pdfIndex);
+}
+
+// Longest subsequence with increasing transcription indices (patience sorting)
+function longestIncreasingChain(candidates) {
+    const tails = []; // tails[n] = index of the smallest tail of a chain of length n + 1
+    const previous = new Array(candidates.length).fill(-1);
+
+    candidates.forEach((candidate, index) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (candidates[tails[middle]].transcriptionIndex < candidate.transcriptionIndex) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        if (low > 0) previous[index] = tails[low - 1];
+        tails[low] = index;
+    });
+
+    const chain = [];
+    for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+        chain.unshift(candidates[index]);
+    }
+    return chain;
+}
+
+// Banded Needleman-Wunsch over PDF words [pdfStart, pdfEnd) and transcription
+// words [transcriptionStart, transcriptionEnd)
+function alignStretch(pdfStart, pdfEnd, transcriptionStart, transcriptionEnd) {
+    const rows = pdfEnd - pdfStart;
+    const columns = transcriptionEnd - transcriptionStart;
+    if (rows === 0 || columns === 0) return [];
+
+    // Each row only scores the columns within the band around the diagonal
+    const halfWidth = Math.abs(rows - columns) + BAND_WIDTH;
+    const bandStart = new Int32Array(rows + 1);
+    const bandEnd = new Int32Array(rows + 1);
+    const rowOffset = new Int32Array(rows + 2);
+    for (let i = 0; i <= rows; i++) {
+        const diagonal = Math.round(i * columns / rows);
+        bandStart[i] = Math.max(0, diagonal - halfWidth);
+        bandEnd[i] = Math.min(columns, diagonal + halfWidth);
+        rowOffset[i + 1] = rowOffset[i] + bandEnd[i] - bandStart[i] + 1;
+    }
+
+    const moves = new Uint8Array(rowOffset[rows + 1]);
+    const scores = [];
+    const scoreAt = (i, j) => (i >= 0 && j >= bandStart[i] && j <= bandEnd[i] ? scores[i][j - bandStart[i]] : -Infinity);
+
+    for (let i = 0; i <= rows; i++) {
+        const pdfWord = i > 0 ? allPdfWords[pdfStart + i - 1] : null;
+        scores[i] = new Float64Array(bandEnd[i] - bandStart[i] + 1);
+
+        for (let j = bandStart[i]; j <= bandEnd[i]; j++) {
+            let best = i === 0 && j === 0 ? 0 : -Infinity;
+            let move = 0;
+            const consider = (score, candidateMove) => {
+                if (score > best) {
+                    best = score;
+                    move = candidateMove;
+                }
+            };
+
+            if (i > 0 && j > 0) {
+                const transcriptionWord = transcriptionWords[transcriptionStart + j - 1];
+                let score = MISMATCH_SCORE;
+                if (sameWord(pdfWord, transcriptionWord)) {
+                    score = MATCH_SCORE;
+                } else if (nearMatch(pdfWord, transcriptionWord)) {
+                    score = FUZZY_SCORE;
+                }
+                consider(scoreAt(i - 1, j - 1) + score, MOVE_MATCH);
+
+                // A block can only match if its last words end alike
+                if (endAlike(pdfWord, transcriptionWord)) {
+                    for (let a = 1; a <= MAX_SPAN && a <= i; a++) {
+                        for (let b = a === 1 ? 2 : 1; b <= MAX_SPAN && b <= j; b++) {
+                            if (blockKey(pdfStart + i - a, a, transcriptionStart + j - b, b)) {
+                                consider(scoreAt(i - a, j - b) + MATCH_SCORE, MOVE_BLOCK + (a - 1) * MAX_SPAN + (b - 1));
+                            }
+                        }
+                    }
+                }
+            }
+            // Words with nothing to match (a lone dash) are skipped for free
+            if (i > 0) consider(scoreAt(i - 1, j) + (hasKey(pdfWord) ? GAP_SCORE : 0), MOVE_SKIP_PDF);
+            if (j > 0) consider(scoreAt(i, j - 1) + (hasKey(transcriptionWords[transcriptionStart + j - 1]) ? GAP_SCORE : 0), MOVE_SKIP_TRANSCRIPTION);
+
+            scores[i][j - bandStart[i]] = best;
+            moves[rowOffset[i] + j - bandStart[i]] = move;
+        }
+        // Only the last few rows are needed for scoring
+        if (i >= MAX_SPAN) scores[i - MAX_SPAN] = null;
+    }
+
+    const pairs = [];
+    let i = rows;
+    let j = columns;
+    while (i > 0 || j > 0) {
+        const move = moves[rowOffset[i] + j - bandStart[i]];
+        if (move === MOVE_MATCH) {
+            const pdfIndex = pdfStart + i - 1;
+            const transcriptionIndex = transcriptionStart + j - 1;
+            const key = blockKey(pdfIndex, 1, transcriptionIndex, 1);
+            const fuzzy = key ? null : nearMatch(allPdfWords[pdfIndex], transcriptionWords[transcriptionIndex]);
+            if (key || fuzzy) {
+                pairs.push({ pdfIndex, pdfLength: 1, transcriptionIndex, length: 1, key: key || 'clean', fuzzy });
+            }
+            i--;
+            j--;
+        } else if (move >= MOVE_BLOCK) {
+            const a = Math.floor((move - MOVE_BLOCK) / MAX_SPAN) + 1;
+            const b = (move - MOVE_BLOCK) % MAX_SPAN + 1;
+            const key = blockKey(pdfStart + i - a, a, transcriptionStart + j - b, b);
+            pairs.push({ pdfIndex: pdfStart + i - a, pdfLength: a, transcriptionIndex: transcriptionStart + j - b, length: b, key });
+            i -= a;
+            j -= b;
+        } else if (move === MOVE_SKIP_PDF) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    return pairs.reverse();
+}
+
+// The original matcher: take the first match within the next few transcription
+// words. Only run to report what the global alignment gains over it
+function greedyAlignment() {
+    const pairs = [];
+    let next = 0;
+    allPdfWords.forEach((pdfWord, pdfIndex) => {
+        for (let offset = 0; offset < LOOK_AHEAD_WINDOW && next + offset < transcriptionWords.length; offset++) {
+            const length = matchLength(pdfIndex, next + offset);
+            if (length > 0) {
+                pairs.push({ pdfIndex, pdfLength: 1, transcriptionIndex: next + offset, length });
+                next += offset + length;
+                return;
+            }
+        }
+    });
+    return pairs;
+}
+
+// How many transcription words from transcriptionIndex on match the PDF word
+// (0 for none)
+function matchLength(pdfIndex, transcriptionIndex) {
+    for (let length = 1; length <= MAX_SPAN && transcriptionIndex + length <= transcriptionWords.length; length++) {
+        if (blockKey(pdfIndex, 1, transcriptionIndex, length)) return length;
+    }
+    return 0;
+}
+
+// Which key PDF words [pdfIndex, +pdfLength) and transcription words
+// [transcriptionIndex, +length) read the same by, run together - 'clean' or
+// 'digits' - or null
+function blockKey(pdfIndex, pdfLength, transcriptionIndex, length) {
+    const pdfWords = allPdfWords.slice(pdfIndex, pdfIndex + pdfLength);
+    const heard = transcriptionWords.slice(transcriptionIndex, transcriptionIndex + length);
+    return ['clean', 'digits'].find(key => {
+        if (!pdfWords.every(word => word[key]) || !heard.every(word => word[key])) return false;
+        const size = words => words.reduce((total, word) => total + word[key].length, 0);
+        return size(pdfWords) === size(heard)
+            && pdfWords.map(word => word[key]).join('') === heard.map(word => word[key]).join('');
+    }) || null;
+}
+
+function sameWord(pdfWord, transcriptionWord) {
+    return (pdfWord.clean !== '' && pdfWord.clean === transcriptionWord.clean)
+        || (pdfWord.digits !== '' && pdfWord.digits === transcriptionWord.digits);
+}
+
+// Numbers only ever match exactly
+function nearMatch(pdfWord, transcriptionWord) {
+    if (pdfWord.digits || transcriptionWord.digits || !pdfWord.clean || !transcriptionWord.clean) return null;
+    return fuzzyMatch(pdfWord.clean, transcriptionWord.clean, thresholds);
+}
+
+function endAlike(pdfWord, transcriptionWord) {
+    const related = (a, b) => a !== '' && b !== '' && (a.endsWith(b) || b.endsWith(a));
+    return related(pdfWord.clean, transcriptionWord.clean) || related(pdfWord.digits, transcriptionWord.digits);
+}
+
+function hasKey(word) {
+    return word.clean !== '' || word.digits !== '';
+}
+
+// What words are compared by: how they are spoken, and for numbers also their
+// digits, since Whisper may group a long number differently ("10 737 418")
+function matchKeys(word) {
+    return {
+        clean: normalizeWord(word),
+        digits: /\p{L}/u.test(word) ? '' : word.replace(/[^0-9]/g, '')
+    };
+}
+
+function normalizeWord(word) {
+    return spokenWords(word).join('');
+}
+
+function recordGap(type, transcriptionStart, transcriptionEnd, pdfIndex) {
+    const sequenceId = `gap_${String(gapLog.sequenceCounter++).padStart(3, '0')}`;
+    
+    const lastMatch = gapLog.matches.length > 0 ? gapLog.matches[gapLog.matches.length - 1] : null;
+    
+    let gapWords, gapIndices;
+    
+    if (type === 'transcription_missing') {
+        // Words in transcription that don't appear in PDF
+        gapWords = [];
+        gapIndices = [];
+        for (let i = transcriptionStart; i < transcriptionEnd; i++) {
+            gapWords.push(transcriptionData.words[i].word);
+            gapIndices.push(i);
+        }
+    } else {
+        // PDF words that don't appear in transcription
+        gapWords = [allPdfWords[pdfIndex].word];
+        gapIndices = [pdfIndex];
+    }
+    
+    gapLog.gaps.push({
+        type: type,
+        beforeMatch: lastMatch,
+        afterMatch: null, // Will be filled by next match
+        gapWords: gapWords,
+        gapIndices: gapIndices,
+        sequenceId: sequenceId
+    });
+}
+
+module.exports = {
+    alignRecordings,
+    confidenceHistograms,
+    normalizeWord
+};
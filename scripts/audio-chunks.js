@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { validateTranscription, TranscriptionError } = require('./transcription-providers');
+
+// Recordings too big for a provider's upload limit are transcribed in chunks,
+// so the source audio can stay at full quality. Chunks are cut in silences
+// (FFmpeg's silencedetect) where possible, copied out without re-encoding,
+// and reach a little into their neighbours so a word cut in half at a forced
+// cut is still heard whole by one of them. Each chunk's word timestamps are
+// shifted by where it starts, and words heard twice where chunks overlap are
+// dropped
+
+const MB = 1024 * 1024;
+const DEFAULT_OVERLAP = 1; // Seconds each chunk reaches into its neighbours
+const SIZE_MARGIN = 0.95; // Chunks are planned this far under the limit, for container overhead
+const SILENCE = { noise: '-35dB', minDuration: 0.3 };
+
+// The provider's transcription of a whole recording, in chunks when the file
+// is over options.maxBytes (by default the provider's own upload limit). A
+// provider that doesn't read the audio (fixture) is never given chunks, and
+// the audio needn't be there
+async function transcribeInChunks(provider, audioFile, options = {}) {
+    const maxBytes = options.maxBytes || provider.maxBytes;
+    const overlap = options.overlap === undefined ? DEFAULT_OVERLAP : options.overlap;
+    if (!provider.readsAudio || !maxBytes) return provider.transcribe(audioFile);
+    if (!fs.existsSync(audioFile)) throw new TranscriptionError(`No audio file at ${audioFile}`);
+    const size = fs.statSync(audioFile).size;
+    if (size <= maxBytes) return provider.transcribe(audioFile);
+
+    const duration = await probeDuration(audioFile);
+    const chunks = planChunks(duration, size, await detectSilences(audioFile), { maxBytes, overlap });
+    console.log(`Splitting ${(size / MB).toFixed(1)}MB into ${chunks.length} chunks of at most ${(maxBytes / MB).toFixed(1)}MB`);
+
+    const chunkDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-chunks-'));
+    try {
+        const transcriptions = [];
+        for (const [number, chunk] of chunks.entries()) {
+            const chunkFile = path.join(chunkDir, `chunk-${number}${path.extname(audioFile)}`);
+            await runFfmpeg('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', '-ss', String(chunk.start), '-t', String(chunk.end - chunk.start), '-i', audioFile, '-c', 'copy', chunkFile]);
+            const chunkSize = fs.statSync(chunkFile).size;
+            if (chunkSize > maxBytes) {
+                throw new TranscriptionError(`Chunk ${number} of ${audioFile} came out at ${(chunkSize / MB).toFixed(1)}MB, over the limit`);
+            }
+            console.log(`    chunk ${number}: ${formatSeconds(chunk.start)} - ${formatSeconds(chunk.end)}${chunk.forced ? ' (no silence to cut in)' : ''}`);
+            transcriptions.push(validateTranscription(await provider.transcribe(chunkFile), `${audioFile} chunk ${number}`));
+        }
+        return mergeChunks(chunks, transcriptions, duration);
+    } finally {
+        fs.rmSync(chunkDir, { recursive: true, force: true });
+    }
+}
+
+// Chunks { from, to, start, end, forced? } over the recording: each owns
+// [from, to) and is cut out as [start, end), overlap seconds wider either
+// side. Cuts go in the middle of the latest silence that keeps a chunk under
+// the limit, or where the limit falls (forced) if there isn't one
+function planChunks(duration, size, silences, options) {
+    const { maxBytes, overlap } = options;
+    const maxSeconds = maxBytes * SIZE_MARGIN / (size / duration) - 2 * overlap;
+    if (maxSeconds <= 0) throw new TranscriptionError(`A ${(maxBytes / MB).toFixed(1)}MB limit is too small to fit ${overlap}s of overlap`);
+
+    const middles = silences.map(silence => (silence.start + silence.end) / 2);
+    const cuts = [{ at: 0 }];
+    while (duration - cuts[cuts.length - 1].at > maxSeconds) {
+        const from = cuts[cuts.length - 1].at;
+        const candidates = middles.filter(middle => middle > from + maxSeconds / 2 && middle <= from + maxSeconds);
+        cuts.push(candidates.length > 0
+            ? { at: candidates[candidates.length - 1] }
+            : { at: from + maxSeconds, forced: true });
+    }
+    cuts.push({ at: duration });
+
+    return cuts.slice(0, -1).map((cut, index) => {
+        const chunk = {
+            from: cut.at,
+            to: cuts[index + 1].at,
+            start: Math.max(0, cut.at - overlap),
+            end: Math.min(duration, cuts[index + 1].at + overlap)
+        };
+        if (cuts[index + 1].forced) chunk.forced = true;
+        return chunk;
+    });
+}
+
+// One verbose_json for the recording. A chunk's words count from where it
+// owns the audio, less half the overlap so a word straddling the cut isn't
+// lost; the earlier chunk's copy of a word heard by both wins
+function mergeChunks(chunks, transcriptions, duration) {
+    const words = [];
+    chunks.forEach((chunk, index) => {
+        const last = index === chunks.length - 1;
+        const margin = (chunk.from - chunk.start) / 2;
+        transcriptions[index].words.forEach(word => {
+            const shifted = { ...word, start: word.start + chunk.start, end: word.end + chunk.start };
+            const middle = (shifted.start + shifted.end) / 2;
+            if (middle < chunk.from - margin || (!last && middle >= chunk.to)) return;
+            if (words.length > 0 && shifted.start < words[words.length - 1].start) return;
+            if (isRepeat(words, shifted, chunk.from - chunk.start)) return;
+            words.push(shifted);
+        });
+    });
+
+    return {
+        task: 'transcribe',
+        language: transcriptions[0].language,
+        duration,
+        text: words.map(word => word.word).join(' '),
+        words
+    };
+}
+
+// The same word again, heard at about the same time as one just kept
+function isRepeat(words, word, overlap) {
+    const key = text => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    return words.slice(-3).some(kept => key(kept.word) === key(word.word) && Math.abs(kept.start - word.start) <= overlap);
+}
+
+async function probeDuration(audioFile) {
+    const output = await runFfmpeg('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', audioFile]);
+    const duration = parseFloat(output.stdout);
+    if (!Number.isFinite(duration)) throw new TranscriptionError(`ffprobe could not read the duration of ${audioFile}`);
+    return duration;
+}
+
+// [{ start, end }] in seconds, from silencedetect's log
+async function detectSilences(audioFile) {
+    const output = await runFfmpeg('ffmpeg', ['-hide_banner', '-nostats', '-i', audioFile, '-af', `silencedetect=noise=${SILENCE.noise}:d=${SILENCE.minDuration}`, '-f', 'null', '-']);
+    const silences = [];
+    output.stderr.split('\n').forEach(line => {
+        const start = /silence_start: ([\d.]+)/.exec(line);
+        const end = /silence_end: ([\d.]+)/.exec(line);
+        if (start) silences.push({ start: parseFloat(start[1]), end: null });
+        if (end && silences.length > 0) silences[silences.length - 1].end = parseFloat(end[1]);
+    });
+    return silences.filter(silence => silence.end !== null);
+}
+
+function runFfmpeg(tool, args) {
+    return new Promise((resolve, reject) => {
+        execFile(tool, args, { maxBuffer: 64 * MB }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                reject(new TranscriptionError(`${tool} not found - install FFmpeg to transcribe long recordings in chunks`));
+            } else if (error) {
+                reject(new TranscriptionError(`${tool} failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+function formatSeconds(seconds) {
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+module.exports = {
+    transcribeInChunks,
+    MB
+};
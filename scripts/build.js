@@ -2,86 +2,151 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const { PDFExtract } = require('pdf.js-extract');
-
-// Constants for text processing
-const PARAGRAPH_SPACING_THRESHOLD = 25; // Y-coordinate difference that indicates new paragraph
-const TITLE_ITEM_INDEX_LIMIT = 10; // Maximum item index to check for chapter titles
-const TITLE_TEXT_LENGTH_LIMIT = 50; // Maximum text length for potential chapter titles
+const { loadManifest, resolveBookPath, ManifestError } = require('./manifest');
+const { readSoftMaskReferences } = require('./pdf-objects');
+const { detectChapters, printChapterSummary } = require('./chapters');
+const { buildDocumentModel, writeDocumentModel, readDocumentModel } = require('./document-model');
+const { readFontStyles, describeFont } = require('./fonts');
+const { cleanupDocument, buildWordList, readWordListFile } = require('./text-cleanup');
+const { alignRecordings, confidenceHistograms } = require('./alignment');
+const { readAliases, AliasError } = require('./aliases');
+const { readOverrides, OverrideError } = require('./overrides');
+const { renderHtml } = require('./render-html');
+const { renderReview } = require('./render-review');
+const { findRetakes, writeRetakes, RetakeError } = require('./retakes');
+const { buildChapterMap, writeChapterMap, readChapterMap, writeFfmetadata } = require('./chapter-map');
 
 // Audio enhancement variables
-let transcriptionData = null;
-let currentTranscriptionIndex = 0;
-let currentPdfWordIndex = 0;
-let allPdfWords = []; // Store all PDF words for gap analysis
-let gapLog = {
-    matches: [],
-    gaps: [],
-    sequenceCounter: 0
-};
+let recordings = []; // The manifest's recordings, each with its transcription (or null)
 
 async function buildSite() {
-    console.log('Building site with audio integration...');
+    // --render skips the PDF entirely and re-renders from the document model,
+    // so hand corrections to the model show up on the site
+    const renderOnly = process.argv.includes('--render');
+    // --review also writes the alignment review page
+    const review = process.argv.includes('--review');
+    // --retakes also proposes cuts for the narrator's retakes and false starts
+    const retakes = process.argv.includes('--retakes');
+    const manifestPath = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    console.log(renderOnly ? 'Rendering site from document model...' : 'Building site with audio integration...');
     
     try {
-        // Load transcription data for audio features
-        await loadTranscriptionData();
-
+        // Everything book specific comes from the manifest (book.json by default)
+        const manifest = loadManifest(manifestPath);
+        console.log(`Using manifest for "${manifest.title}"`);
+        const modelPath = resolveBookPath(manifest, manifest.output.model);
+        
+        if (renderOnly) {
+            renderSite(manifest, readDocumentModel(modelPath), readChapterMap(resolveBookPath(manifest, manifest.output.chapterMap)));
+            console.log('Render complete!');
+            return;
+        }
 
-        // Expand words with no times
-        transcriptionData.words.forEach((word, word_index) => {
-            const previous_word = transcriptionData.words[word_index - 1]
-            const current_word_time = word.end - word.start
-            if (
-                previous_word
-                && previous_word.start !== 0
-                && (word.end - word.start) < 0.3
-            ) {
-                const previous_word_time = previous_word.end - previous_word.start
-                const previous_word_length = previous_word.word.length
-                const expected_time = Math.max(0.3, previous_word_length * 0.04)
-                if (previous_word_time > expected_time) {
-                    previous_word.end = previous_word.start + expected_time
-                    word.start = previous_word.end
-                }
-                const next_word = transcriptionData.words[word_index + 1]
-                if (next_word && next_word.start > word.end) {
-                    word.end = next_word.start
-                }
-                // console.warn("Adjusted ", previous_word.word, previous_word_time, "to", expected_time)
-                // console.warn("Adjusted ", word.word, current_word_time, "to", word.end - word.start)
-                // console.warn("-------")
-            }
-        })
+        // Load transcription data for audio features
+        await loadTranscriptionData(manifest);
+        recordings.forEach(recording => {
+            if (recording.transcription) expandShortWords(recording.transcription);
+        });
         
-        await extractEmbeddedImagesWithMasks();
-        await extractText();
-        console.log('Build complete with audio integration!');
-        console.log(`Used ${currentTranscriptionIndex} of ${transcriptionData ? transcriptionData.words.length : 0} transcription words`);
+        // Chapter order, page ranges and subtitles come from the PDF itself
+        const chapters = detectChapters(await readPdf(manifest), manifest);
+        printChapterSummary(chapters);
+        
+        await extractEmbeddedImagesWithMasks(manifest, chapters);
+        const model = await extractText(manifest, chapters);
+        cleanupText(manifest, model);
         
-        // Output gap analysis
-        // if (transcriptionData) {
-        //     outputGapAnalysis();
-        // }
+        let alignment = null;
+        if (recordings.some(recording => recording.transcription)) {
+            alignment = alignRecordings(model, recordings, {
+                ...manifest.alignment,
+                aliases: manifest.audio.aliases ? readAliases(resolveBookPath(manifest, manifest.audio.aliases)) : [],
+                overrides: manifest.audio.overrides ? readOverrides(resolveBookPath(manifest, manifest.audio.overrides)) : []
+            });
+        }
+        
+        writeDocumentModel(model, modelPath);
+        console.log(`Wrote document model to ${path.relative(manifest.baseDir, modelPath)}`);
+        const chapterMap = alignment ? writeChapters(manifest, model) : null;
+        renderSite(manifest, model, chapterMap);
+        
+        console.log('Build complete with audio integration!');
+        if (alignment) {
+            console.log(`Matched ${alignment.matched} of ${alignment.total} PDF words (${percent(alignment.matched, alignment.total)})`);
+            console.log(`    including ${alignment.fuzzyMatched} fuzzy matches (in amber on npm run review's page)`);
+            console.log(`    plus ${alignment.estimated} unmatched words timed by interpolation`);
+            console.log(`    greedy look-ahead matcher: ${alignment.greedyMatched} (${percent(alignment.greedyMatched, alignment.total)})`);
+            console.log(`Used ${alignment.usedTranscriptionWords} of ${alignment.transcriptionWords} transcription words`);
+            printRecordingReport(manifest, alignment);
+            printConfidenceHistograms(model);
+            printAliasReport(manifest, alignment.aliases);
+            printOverrideReport(manifest, alignment.overrides);
+        }
+        if (review) {
+            writeReview(manifest, model, alignment);
+        }
+        if (retakes) {
+            proposeRetakes(manifest, alignment);
+        }
     } catch (error) {
-        console.error('Error building site:', error);
+        if (error instanceof ManifestError || error instanceof AliasError || error instanceof OverrideError || error instanceof RetakeError) {
+            console.error(error.message);
+        } else {
+            console.error('Error building site:', error);
+        }
         process.exit(1);
     }
 }
 
-async function loadTranscriptionData() {
-    const transcriptionPath = path.join(__dirname, '..', 'book_audio_transcription.json');
-    if (fs.existsSync(transcriptionPath)) {
-        transcriptionData = JSON.parse(fs.readFileSync(transcriptionPath, 'utf8'));
-        console.log(`Loaded ${transcriptionData.words.length} transcription words for audio features`);
-    } else {
+// Expand words with no times
+function expandShortWords(transcriptionData) {
+    transcriptionData.words.forEach((word, word_index) => {
+        const previous_word = transcriptionData.words[word_index - 1]
+        const current_word_time = word.end - word.start
+        if (
+            previous_word
+            && previous_word.start !== 0
+            && (word.end - word.start) < 0.3
+        ) {
+            const previous_word_time = previous_word.end - previous_word.start
+            const previous_word_length = previous_word.word.length
+            const expected_time = Math.max(0.3, previous_word_length * 0.04)
+            if (previous_word_time > expected_time) {
+                previous_word.end = previous_word.start + expected_time
+                word.start = previous_word.end
+            }
+            const next_word = transcriptionData.words[word_index + 1]
+            if (next_word && next_word.start > word.end) {
+                word.end = next_word.start
+            }
+            // console.warn("Adjusted ", previous_word.word, previous_word_time, "to", expected_time)
+            // console.warn("Adjusted ", word.word, current_word_time, "to", word.end - word.start)
+            // console.warn("-------")
+        }
+    })
+}
+
+async function loadTranscriptionData(manifest) {
+    if (!manifest.audio) {
+        console.log('No audio in manifest - audio features disabled');
+        return;
+    }
+    recordings = manifest.audio.recordings.map(recording => {
+        const transcriptionPath = resolveBookPath(manifest, recording.transcription);
+        if (!fs.existsSync(transcriptionPath)) return { ...recording, transcription: null };
+        const transcription = JSON.parse(fs.readFileSync(transcriptionPath, 'utf8'));
+        console.log(`Loaded ${transcription.words.length} transcription words from ${recording.transcription}`);
+        return { ...recording, transcription };
+    });
+    if (!recordings.some(recording => recording.transcription)) {
         console.log('No transcription data found - audio features disabled');
     }
 }
 
-async function extractEmbeddedImagesWithMasks() {
+async function extractEmbeddedImagesWithMasks(manifest, chapters) {
     console.log('Extracting embedded images with transparency masks...');
     
-    const imagesDir = path.join(__dirname, '..', 'images');
+    const imagesDir = resolveBookPath(manifest, manifest.output.images);
     if (!fs.existsSync(imagesDir)) {
         fs.mkdirSync(imagesDir);
     }
@@ -93,46 +158,32 @@ async function extractEmbeddedImagesWithMasks() {
     fs.mkdirSync(tempDir);
     
     try {
-        execSync(`pdfimages -png "meremetaphor.pdf" "${path.join(tempDir, 'img')}"`, {
-            cwd: path.join(__dirname, '..'),
+        const pdfPath = resolveBookPath(manifest, manifest.source.pdf);
+        execSync(`pdfimages -png "${pdfPath}" "${path.join(tempDir, 'img')}"`, {
+            cwd: manifest.baseDir,
             stdio: 'pipe'
         });
         
-        const imageMap = [
-            { image: 'img-000.png', mask: 'img-001.png', dest: 'cover.png', description: 'Cover tree illustration' },
-            { image: 'img-002.png', mask: 'img-003.png', dest: 'preface-illustration.png', description: 'Preface illustration' },
-            { image: 'img-004.png', mask: 'img-005.png', dest: 'about-author-illustration.png', description: 'About the Author illustration' },
-            { image: 'img-006.png', mask: 'img-007.png', dest: 'metaphor-illustration.png', description: 'Introduction: Metaphor illustration' },
-            { image: 'img-008.png', mask: 'img-009.png', dest: 'god-illustration.png', description: 'God: Love Within and Between Us illustration' },
-            { image: 'img-010.png', mask: 'img-011.png', dest: 'freewill-illustration.png', description: 'Free Will illustration' },
-            { image: 'img-012.png', mask: 'img-013.png', dest: 'good-illustration.png', description: 'Good: A Direction We Choose illustration' },
-            { image: 'img-014.png', mask: 'img-015.png', dest: 'sin-illustration.png', description: 'Sin illustration' },
-            { image: 'img-016.png', mask: 'img-017.png', dest: 'redemption-illustration.png', description: 'Redemption illustration' },
-            { image: 'img-018.png', mask: 'img-019.png', dest: 'heaven-illustration.png', description: 'Heaven illustration' },
-            { image: 'img-020.png', mask: 'img-021.png', dest: 'prayer-illustration.png', description: 'Prayer illustration' },
-            { image: 'img-022.png', mask: 'img-023.png', dest: 'voices-illustration.png', description: 'Voices illustration' },
-            { image: 'img-024.png', mask: 'img-025.png', dest: 'afterword-illustration.png', description: 'Afterword illustration' },
-            { image: 'img-026.png', mask: 'img-027.png', dest: 'glossary-illustration.png', description: 'Glossary illustration' }
-        ];
+        const illustrations = pairImagesWithMasks(pdfPath);
+        const data = await readPdf(manifest);
         
-        imageMap.forEach(({ image, mask, dest, description }) => {
+        assignIllustrations(illustrations, manifest, chapters, data).forEach(({ image, mask, page, dest, description }) => {
             const imagePath = path.join(tempDir, image);
-            const maskPath = path.join(tempDir, mask);
             const destPath = path.join(imagesDir, dest);
             
-            if (fs.existsSync(imagePath) && fs.existsSync(maskPath)) {
-                try {
-                    execSync(`magick "${imagePath}" "${maskPath}" -alpha off -compose copy_opacity -composite "${destPath}"`, {
+            try {
+                if (mask) {
+                    execSync(`magick "${imagePath}" "${path.join(tempDir, mask)}" -alpha off -compose copy_opacity -composite "${destPath}"`, {
                         stdio: 'pipe'
                     });
-                    
-                    const stats = fs.statSync(destPath);
-                    console.log(`    ✓ ${dest} (${Math.round(stats.size / 1024)}KB) - ${description}`);
-                } catch (error) {
-                    console.log(`    ✗ Failed to combine ${image} + ${mask}: ${error.message}`);
+                } else {
+                    fs.copyFileSync(imagePath, destPath);
                 }
-            } else {
-                console.log(`    ✗ Missing files: ${image} ${fs.existsSync(imagePath) ? '✓' : '✗'}, ${mask} ${fs.existsSync(maskPath) ? '✓' : '✗'}`);
+                
+                const stats = fs.statSync(destPath);
+                console.log(`    ✓ ${dest} (${Math.round(stats.size / 1024)}KB) - ${description}, page ${page + 1}`);
+            } catch (error) {
+                console.log(`    ✗ Failed to extract ${dest} from ${mask ? `${image} + ${mask}` : image}: ${error.message}`);
             }
         });
         
@@ -143,958 +194,272 @@ async function extractEmbeddedImagesWithMasks() {
     }
 }
 
-async function extractText() {
-    console.log('Extracting text...');
+// Pair every image pdfimages extracted with its soft mask, using the /SMask
+// reference in the image's own dictionary rather than the output order
+function pairImagesWithMasks(pdfPath) {
+    const softMasks = readSoftMaskReferences(pdfPath);
+    const listing = execSync(`pdfimages -list "${pdfPath}"`, { encoding: 'utf8' });
     
-    const pdfExtract = new PDFExtract();
-    const pdfPath = path.join(__dirname, '..', 'meremetaphor.pdf');
+    // page num type width height color comp bpc enc interp object ID x-ppi y-ppi size ratio
+    const rows = listing.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(columns => columns.length >= 12 && /^\d+$/.test(columns[0]) && /^\d+$/.test(columns[1]))
+        .map(columns => ({
+            page: parseInt(columns[0], 10) - 1,
+            file: `img-${columns[1].padStart(3, '0')}.png`,
+            type: columns[2],
+            object: parseInt(columns[10], 10)
+        }));
     
-    return new Promise((resolve, reject) => {
-        pdfExtract.extract(pdfPath, {}, (err, data) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            const cacheBuster = Date.now();
-            let htmlContent = '';
-            
-            // All cover content that needs audio mapping (matches transcription order)
-            const coverTitleText = "Mere Metaphor";
-            const coverSubtitleText = "Understanding Religious Language as a Materialist";
-            const coverAuthorText = "by Derek Bredensteiner";
-            
-            let coverTitleHtml = coverTitleText;
-            let coverSubtitleHtml = coverSubtitleText;
-            let coverAuthorHtml = coverAuthorText;
-            
-            if (transcriptionData) {
-                coverTitleHtml = formatAnyWordsWithAudio(coverTitleText, 'COVER');
-                coverSubtitleHtml = formatAnyWordsWithAudio(coverSubtitleText, 'COVER');
-                coverAuthorHtml = formatAnyWordsWithAudio(coverAuthorText, 'COVER');
-            }
-            
-            htmlContent += `
-<div class="cover-page">
-    <h1>${coverTitleHtml}</h1>
-    <div class="cover-illustration">
-        <img src="images/cover.png?v=${cacheBuster}" alt="Tree illustration with profile and 'God is love'" class="cover-image">
-    </div>
-    <p class="subtitle">${coverSubtitleHtml}</p>
-    <p class="author">${coverAuthorHtml}</p>
-</div>
-`;
-            
-            const tocPageIndex = data.pages.findIndex(page => 
-                page.content.some(item => item.str.includes('TABLE OF CONTENTS'))
-            );
-            
-            if (tocPageIndex !== -1) {
-                htmlContent += '<div class="toc-separator"></div>\n';
-                htmlContent += '<div class="table-of-contents">\n';
-                htmlContent += '<h2>TABLE OF CONTENTS</h2>\n';
-                
-                const tocPage = data.pages[tocPageIndex];
-                const tocStartIndex = tocPage.content.findIndex(item => 
-                    item.str.includes('TABLE OF CONTENTS')
-                );
-                
-                for (let i = tocStartIndex + 1; i < tocPage.content.length; i++) {
-                    const item = tocPage.content[i];
-                    const text = item.str.trim();
-                    
-                    if (!text || text.match(/^\d+$/)) continue;
-                    
-                    const cleaned = text.replace(/\.+\d*$/, '').trim();
-                    if (cleaned && cleaned !== '1') {
-                        const chapterId = cleaned.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-                        htmlContent += `<a href="#" onclick="scrollToChapter('${chapterId}'); return false;" class="toc-link">${escapeHtml(cleaned)}</a>\n`;
-                    }
-                }
-                htmlContent += '</div>\n';
-                htmlContent += '<div class="toc-separator"></div>\n\n';
-            }
-            
-            const chapters = [
-                { name: 'PREFACE', image: 'preface-illustration.png' },
-                { name: 'ABOUT THE AUTHOR', image: 'about-author-illustration.png' },
-                { name: 'INTRODUCTION: METAPHOR', image: 'metaphor-illustration.png' },
-                { name: 'GOD: LOVE WITHIN AND BETWEEN US', image: 'god-illustration.png' },
-                { name: 'FREE WILL: RECURSING A LIFETIME', image: 'freewill-illustration.png' },
-                { name: 'GOOD: A DIRECTION WE CHOOSE', image: 'good-illustration.png' },
-                { name: 'SIN: ALIGNMENT WITH THAT CHOICE', image: 'sin-illustration.png' },
-                { name: 'REDEMPTION: MAKING NEW CHOICES', image: 'redemption-illustration.png' },
-                { name: 'HEAVEN: A STATE OF MIND AND BEING', image: 'heaven-illustration.png' },
-                { name: 'PRAYER: EFFECTS OF SELF-REFLECTION', image: 'prayer-illustration.png' },
-                { name: 'VOICES: WHAT INSPIRES SHAMANS', image: 'voices-illustration.png' },
-                { name: 'AFTERWORD', image: 'afterword-illustration.png' },
-                { name: 'GLOSSARY', image: 'glossary-illustration.png' }
-            ];
-            
-            chapters.forEach((chapter, index) => {
-                const chapterPages = [];
-                
-                data.pages.forEach((page, pageIndex) => {
-                    if (page.content.some(item => item.str === chapter.name)) {
-                        chapterPages.push(pageIndex);
-                    }
-                });
-                
-                if (chapterPages.length === 0) return;
-                
-                if (index > 0) {
-                    htmlContent += '<div class="chapter-separator">◆ ◆ ◆</div>\n';
-                }
-                
-                const chapterId = chapter.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-                htmlContent += `<h2 class="chapter-header" id="${chapterId}">${formatAnyWordsWithAudio(chapter.name, chapter.name)}</h2>\n`;
-                
-                const imagePath = path.join(__dirname, '..', 'images', chapter.image);
-                if (fs.existsSync(imagePath)) {
-                    htmlContent += `<div class="chapter-illustration">\n`;
-                    htmlContent += `<img src="images/${chapter.image}?v=${cacheBuster}" alt="Illustration for ${chapter.name}" class="chapter-image">\n`;
-                    htmlContent += `</div>\n\n`;
-                }
-                
-                chapterPages.forEach(pageIndex => {
-                    const page = data.pages[pageIndex];
-                    htmlContent += processChapterPage(page, chapter, chapterPages, pageIndex);
-                });
-                
-                htmlContent += '\n';
-            });
-            
-            const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, maximum-scale=1.0, initial-scale=1.0, user-scalable=no">
-    <title>Mere Metaphor</title>
-    <style>
-        body {
-            font-family: Georgia, serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 700px;
-            margin: 0 auto;
-            touch-action: manipulation;
-            padding: 10px 20px 20px 20px;
-        }
-        h1, h2, h3 {
-            font-weight: normal;
-            margin-top: 2em;
-        }
-        h1 {
-            font-size: 2.5em;
-            text-align: center;
-            margin-bottom: 2em;
-        }
-        .chapter {
-            margin-bottom: 4em;
-        }
-        .cover-page {
-            text-align: center;
-            margin: 2em 0;
-            padding: 1em;
-            page-break-after: always;
-        }
-        .cover-page h1 {
-            font-size: 2.5em;
-            margin: 0.5em 0 1em 0;
-            line-height: 1.2;
-        }
-        .cover-illustration {
-            margin: 2em 0;
-            max-width: 100%;
-            overflow: hidden;
-        }
-        .cover-image {
-            width: 100%;
-            max-width: 300px;
-            height: auto;
-            margin: 1em 0;
-            display: block;
-            margin-left: auto;
-            margin-right: auto;
-        }
-        .chapter-separator {
-            text-align: center;
-            font-size: 1.5em;
-            margin: 4em 0 3em;
-            color: #666;
-            letter-spacing: 0.5em;
-        }
-        .toc-separator {
-            margin: 2em 0;
-            border-top: 1px solid #ccc;
-            width: 60%;
-            margin-left: auto;
-            margin-right: auto;
-        }
-        .chapter-illustration {
-            text-align: center;
-            margin: 2em 0;
-            max-width: 100%;
-            overflow: hidden;
-        }
-        .chapter-image {
-            width: 100%;
-            max-width: 320px;
-            height: auto;
-            margin: 1em 0;
-            display: block;
-            margin-left: auto;
-            margin-right: auto;
-        }
-        .subtitle {
-            font-size: 1.1em;
-            margin: 1em 0;
-            line-height: 1.4;
-        }
-        .author {
-            margin-top: 2em;
-        }
-        .table-of-contents {
-            margin: 2em 0;
-            page-break-after: always;
-        }
-        .table-of-contents h2 {
-            text-align: center;
-            margin-bottom: 2em;
-        }
-        .chapter-header {
-            text-align: center;
-            font-size: 1.3em;
-            margin: 2em 0 1em;
-            page-break-before: always;
-            font-weight: bold;
-        }
-        
-        @media (min-width: 768px) {
-            .cover-page h1 {
-                font-size: 3em;
-            }
-            .cover-illustration {
-                margin: 3em 0;
-            }
-            .cover-image {
-                max-width: 400px;
-                max-height: 400px;
-                object-fit: contain;
-            }
-            .chapter-image {
-                max-width: 450px;
-                max-height: 400px;
-                object-fit: contain;
-            }
-            .subtitle {
-                font-size: 1.2em;
-            }
-            .chapter-header {
-                font-size: 1.5em;
-                margin: 3em 0 2em;
-            }
-            .table-of-contents {
-                margin: 3em 0;
-            }
-        }
-        
-        @media (min-width: 1024px) {
-            .cover-image {
-                max-width: 400px;
-                max-height: 400px;
-                object-fit: contain;
-            }
-            .chapter-image {
-                max-width: 500px;
-                max-height: 450px;
-                object-fit: contain;
-            }
-        }
-        
-        @media print {
-            .cover-page, .table-of-contents, .chapter-header {
-                page-break-inside: avoid;
-            }
-            .chapter-separator {
-                page-break-inside: avoid;
-            }
-        }
-        
-        .table-of-contents .toc-link {
-            color: #333;
-            text-decoration: none;
-            cursor: pointer;
-            display: block;
-            padding: 0.5em 0;
-            margin: 0.5em 0;
-        }
-        
-        .table-of-contents .toc-link:hover {
-            color: #666;
-            text-decoration: underline;
-        }
-        blockquote {
-            background: #f2f2f2;
-            border-left: 4px solid #ccc;
-            margin: 2em 0;
-            padding: 1.5em 2em;
-            font-style: italic;
-        }
-        blockquote p {
-            margin: 0 0 1em 0;
-        }
-        blockquote cite {
-            display: block;
-            text-align: right;
-            font-style: normal;
-            margin-top: 0.5em;
-        }
-        
-        /* Audio Player Styles */
-        .audio-controls {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: #fff;
-            border: 1px solid #ddd;
-            border-radius: 8px;
-            padding: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            z-index: 1000;
-            width: 280px;
-        }
-        
-        .audio-player {
-            display: flex;
-            align-items: center;
-            gap: 8px;
-        }
-        
-        .play-pause-btn {
-            background: #333;
-            color: white;
-            border: none;
-            border-radius: 50%;
-            width: 40px;
-            height: 40px;
-            cursor: pointer;
-            font-size: 12px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            flex-shrink: 0;
-        }
-        
-        .play-pause-btn:hover {
-            background: #555;
-        }
-        
-        .speed-btn {
-            background: #333;
-            color: white;
-            border: none;
-            border-radius: 4px;
-            width: 40px;
-            height: 40px;
-            cursor: pointer;
-            font-size: 11px;
-            margin-left: 8px;
-            flex-shrink: 0;
-            touch-action: manipulation;
-            -webkit-user-select: none;
-            -webkit-touch-callout: none;
-            -webkit-tap-highlight-color: transparent;
-            user-select: none;
-        }
-        
-        .speed-btn:hover {
-            background: #555;
-        }
-        
-        .audio-progress {
-            flex: 1;
-            height: 4px;
-            background: #ddd;
-            border-radius: 2px;
-            cursor: pointer;
-            position: relative;
-        }
-        
-        .audio-progress-bar {
-            height: 100%;
-            background: #333;
-            border-radius: 2px;
-            width: 0%;
-            transition: width 0.1s ease;
-        }
-        
-        .audio-time {
-            font-size: 0.75em;
-            color: #666;
-            min-width: 30px;
-        }
-        
-        
-        /* Audio Highlighting Styles */
-        .audio-word {
-            cursor: pointer;
-            border-radius: 2px;
-        }
-        
-        .audio-word:hover {
-            background-color: #f0f0f0;
-        }
+    const masksUsed = new Set();
+    const illustrations = rows.filter(row => row.type === 'image').map(row => {
+        const maskObject = softMasks.get(row.object);
+        const maskRow = maskObject === undefined ? null : rows.find(candidate =>
+            candidate.type === 'smask' && candidate.object === maskObject && candidate.page === row.page && !masksUsed.has(candidate)
+        );
+        if (maskObject !== undefined && !maskRow) {
+            console.log(`    ✗ ${row.file} references soft mask object ${maskObject}, which pdfimages did not extract`);
+        }
+        if (maskRow) masksUsed.add(maskRow);
+        return { image: row.file, mask: maskRow ? maskRow.file : null, page: row.page };
+    });
+    
+    rows.filter(row => row.type === 'smask' && !masksUsed.has(row)).forEach(row => {
+        console.log(`    ✗ Soft mask ${row.file} (object ${row.object}, page ${row.page + 1}) has no image`);
+    });
+    
+    return illustrations;
+}
 
-        .audio-word.current {
-            background-color: #ffe066;
-        }
-    </style>
-    <script>
-        function scrollToChapter(chapterId) {
-            const element = document.getElementById(chapterId);
-            if (element) {
-                element.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            }
-        }
-        
-        // Audio Player and Highlighting
-        let audio = null;
-        let isPlaying = false;
-        let currentWord = null;
-        let audioWords = [];
-        let syncOffset = 0.3; // Fixed sync offset in seconds to compensate for highlighting delay
-        
-        // Speed control
-        const speeds = [1, 1.25, 1.5, 1.75];
-        let currentSpeedIndex = 0;
-        
-        document.addEventListener('DOMContentLoaded', function() {
-            initializeAudioPlayer();
-            collectAudioWords();
-        });
-        
-        function initializeAudioPlayer() {
-            audio = document.getElementById('audioPlayer');
-            const playBtn = document.getElementById('playBtn');
-            const progressBar = document.getElementById('progressBar');
-            const progress = document.getElementById('progress');
-            const currentTime = document.getElementById('currentTime');
-            const duration = document.getElementById('duration');
-            const speedBtn = document.getElementById('speedBtn');
-            
-            if (!audio) return;
-            
-            // Play/Pause button
-            playBtn.addEventListener('click', togglePlay);
-            
-            // Progress bar
-            progressBar.addEventListener('click', seek);
-            
-            // Speed button
-            speedBtn.addEventListener('click', toggleSpeed);
-            
-            // Audio events
-            audio.addEventListener('timeupdate', updateProgress);
-            audio.addEventListener('loadedmetadata', updateDuration);
-            audio.addEventListener('ended', onAudioEnded);
-            
-            // Update highlighting during playback
-            audio.addEventListener('timeupdate', updateWordHighlighting);
-        }
-        
-        function collectAudioWords() {
-            audioWords = Array.from(document.querySelectorAll('[data-word]')).map(span => ({
-                element: span,
-                start: parseFloat(span.dataset.start),
-                end: parseFloat(span.dataset.end),
-                index: parseInt(span.dataset.word)
-            })).sort((a, b) => a.index - b.index);
-            
-            // Add click handlers to words for seeking
-            audioWords.forEach(word => {
-                word.element.classList.add('audio-word');
-                word.element.addEventListener('click', () => seekToWord(word));
-            });
-        }
-        
-        function togglePlay() {
-            if (!audio) return;
-            
-            if (isPlaying) {
-                audio.pause();
-                document.getElementById('playBtn').textContent = '▶';
-                isPlaying = false;
-            } else {
-                audio.play();
-                document.getElementById('playBtn').textContent = '⏸';
-                isPlaying = true;
-            }
-        }
-        
-        function toggleSpeed(e) {
-            e.preventDefault();
-            e.stopPropagation();
-            if (!audio) return;
-            
-            currentSpeedIndex = (currentSpeedIndex + 1) % speeds.length;
-            const newSpeed = speeds[currentSpeedIndex];
-            audio.playbackRate = newSpeed;
-            document.getElementById('speedBtn').textContent = newSpeed + '×';
-        }
-        
-        function seek(e) {
-            if (!audio) return;
-            
-            const progressBar = e.currentTarget;
-            const rect = progressBar.getBoundingClientRect();
-            const percent = (e.clientX - rect.left) / rect.width;
-            audio.currentTime = percent * audio.duration;
-        }
+// The first page is the cover. Any other illustration belongs to the chapter
+// whose text it sits among, or - when it has a page to itself, facing a
+// chapter opening - to the next chapter after it
+function assignIllustrations(illustrations, manifest, chapters, data) {
+    const used = new Map();
+    
+    return illustrations.map(illustration => {
+        let dest, description;
         
-        function seekToWord(word) {
-            if (!audio) return;
-
-
-            if (currentWord) {
-                currentWord.element.classList.remove('current');
-                currentWord = null;
-            }
-            
-            audio.currentTime = word.start;
-            if (!isPlaying) {
-                togglePlay();
+        if (illustration.page === 0) {
+            dest = manifest.cover.image;
+            description = 'Cover illustration';
+        } else {
+            const page = data.pages[illustration.page];
+            const owner = chapters.find(chapter => chapter.pages.includes(illustration.page) && hasBodyText(page, chapter))
+                || chapters.find(chapter => chapter.startPage > illustration.page);
+            if (!owner) {
+                console.log(`    ✗ ${illustration.image} on page ${illustration.page + 1} is after the last chapter - skipped`);
+                return null;
             }
+            dest = chapterImageName(owner);
+            description = `Illustration for ${owner.name}`;
         }
         
-        function updateProgress() {
-            if (!audio) return;
-            
-            const percent = (audio.currentTime / audio.duration) * 100;
-            document.getElementById('progress').style.width = percent + '%';
-            document.getElementById('currentTime').textContent = formatTime(audio.currentTime);
-        }
-        
-        function updateDuration() {
-            if (!audio) return;
-            document.getElementById('duration').textContent = formatTime(audio.duration);
+        // A second illustration for the same destination gets a numbered name
+        const count = (used.get(dest) || 0) + 1;
+        used.set(dest, count);
+        if (count > 1) {
+            dest = dest.replace(/\.png$/, `-${count}.png`);
         }
         
-        function updateWordHighlighting() {
-            const currentTime = audio.currentTime + syncOffset;
-            
-            // Do we have a current word already?
-            if (currentWord) {
-                // Clear current highlighting if it ended
-                if (currentTime > currentWord.end) {
-                    currentWord.element.classList.remove('current');
-                    currentWord = null;
+        return Object.assign({}, illustration, { dest, description });
+    }).filter(Boolean);
+}
 
-                // Do nothing if currentWord is still good
-                } else {
-                    return;
-                }
-            }
-            
-            // Find current word and upcoming word for aggressive scrolling
-            for (let i = 0; i < audioWords.length; i++) {
-                const word = audioWords[i];
-                if (word.start > currentTime) {
-                    continue;
-                }
-                if (currentTime >= word.start && currentTime <= word.end) {
-                    word.element.classList.add('current');
-                    currentWord = word;
-                    
-                    // Smart scrolling - only scroll if word is outside viewport
-                    scrollToWordIfNeeded(word.element);
-                    break;
-                } else if (currentTime < word.start) {
-                    break;
-                }
-            }
-        }
-        
-        function onAudioEnded() {
-            document.getElementById('playBtn').textContent = '▶';
-            isPlaying = false;
-            
-            // Clear current highlighting
-            if (currentWord) {
-                currentWord.element.classList.remove('current');
-                currentWord = null;
-            }
-        }
-        
-        function scrollToWordIfNeeded(element) {
-            const rect = element.getBoundingClientRect();
-            const windowHeight = window.innerHeight;
-            const topBuffer = 32; // 2em buffer from top (16px * 2)
-            const bottomBuffer = 80; // Offset from bottom for comfortable viewing
-            
-            // Only scroll if element is actually outside viewport or too close to edges
-            if (rect.top < topBuffer || rect.bottom > windowHeight - bottomBuffer) {
-                // Scroll with custom offset to maintain buffer
-                const elementTop = element.getBoundingClientRect().top + window.pageYOffset;
-                const targetPosition = elementTop - topBuffer;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            }
-        }
-        
-        
-        function formatTime(seconds) {
-            const mins = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return mins + ':' + (secs < 10 ? '0' : '') + secs;
-        }
-    </script>
-</head>
-<body>
-    <div class="audio-controls">
-        <div class="audio-player">
-            <button id="playBtn" class="play-pause-btn">▶</button>
-            <div id="progressBar" class="audio-progress">
-                <div id="progress" class="audio-progress-bar"></div>
-            </div>
-            <span id="currentTime" class="audio-time">0:00</span>
-            <span>/</span>
-            <span id="duration" class="audio-time">0:00</span>
-            <button id="speedBtn" class="speed-btn">1×</button>
-        </div>
-        <audio id="audioPlayer" preload="metadata">
-            <source src="book_audio.mp3" type="audio/mpeg">
-            Your browser does not support the audio element.
-        </audio>
-    </div>
-    
-    <div id="book-content">
-${htmlContent}
-    </div>
-</body>
-</html>`;
-            
-            fs.writeFileSync(path.join(__dirname, '..', 'index.html'), html);
-            
-            console.log(`Processed ${data.pages.length} pages`);
-            resolve();
-        });
+// Anything besides the running head and the page number
+function hasBodyText(page, chapter) {
+    return page.content.some(item => {
+        const text = item.str.trim();
+        return text && !text.match(/^\d+$/) && !chapter.runningHeads.has(item);
     });
 }
 
-function processChapterPage(page, chapter, chapterPages, pageIndex) {
-    let htmlContent = '';
-    let currentParagraph = [];
-    let lastY = null;
-    let foundChapterTitle = false;
-    let chapterSubtitleSoFar = '';
-    let inQuote = false;
-    let quoteContent = [];
-    let quoteAttribution = '';
-    
-    page.content.forEach((item, itemIndex) => {
-        const text = item.str.trim();
-        
-        if (!text || text.match(/^\d+$/)) return;
-        
-        if (text === chapter.name) {
-            foundChapterTitle = true;
-            return;
-        }
-        
-        if (foundChapterTitle && pageIndex === chapterPages[0] && 
-            itemIndex < TITLE_ITEM_INDEX_LIMIT && text.length < TITLE_TEXT_LENGTH_LIMIT && !text.match(/^[A-Z\s]+$/)) {
-            if (currentParagraph.length > 0) {
-                const paragraphText = currentParagraph.join(' ');
-                htmlContent += formatParagraph(paragraphText, chapter.name);
-                currentParagraph = [];
-            }
+function chapterImageName(chapter) {
+    return chapter.image || `${chapter.id}-illustration.png`;
+}
 
-            // Build up a subtitle that should match the chapter name in length exactly
-            chapterSubtitleSoFar += text
+let pdfDataPromise = null;
 
-            // If we haven't reached our length yet, then continue without adding html yet
-            if (chapterSubtitleSoFar.length < chapter.name.length) {
+function readPdf(manifest) {
+    if (!pdfDataPromise) {
+        pdfDataPromise = new PDFExtract().extract(resolveBookPath(manifest, manifest.source.pdf), {});
+    }
+    return pdfDataPromise;
+}
 
-            // Otherwise, we have reached our length and so we add the html and continue with paragraphs by saying foundChapterTitle = false
-            } else {
-                htmlContent += `<h3>${chapterSubtitleSoFar}</h3>\n`;
-                foundChapterTitle = false;
-            }
-            lastY = item.y;
-            return;
-        }
-        
-        // Check for quote formatting based on x-position (exact match for 63)
-        if (Math.abs(item.x - 63) < 0.1) {
-            // This appears to be indented quote text
-            if (!inQuote) {
-                // Finish any current paragraph
-                if (currentParagraph.length > 0) {
-                    const paragraphText = currentParagraph.join(' ');
-                    htmlContent += formatParagraph(paragraphText, chapter.name);
-                    currentParagraph = [];
-                }
-                inQuote = true;
-                quoteContent = [];
-            }
-            quoteContent.push(text);
-        } else if (inQuote && item.x > 180 && text.startsWith('—')) {
-            // This appears to be quote attribution
-            quoteAttribution = text;
-            // Output the complete quote
-            htmlContent += `<blockquote>\n`;
-            htmlContent += `<p>${formatAnyWordsWithAudio(quoteContent.join(' '), chapter.name)}</p>\n`;
-            if (quoteAttribution) {
-                htmlContent += `<cite>${formatAnyWordsWithAudio(quoteAttribution, chapter.name)}</cite>\n`;
-            }
-            htmlContent += `</blockquote>\n`;
-            // Reset quote state
-            inQuote = false;
-            quoteContent = [];
-            quoteAttribution = '';
-        } else if (inQuote) {
-            // We've left the quote area, output what we have
-            if (quoteContent.length > 0) {
-                htmlContent += `<blockquote>\n`;
-                htmlContent += `<p>${formatAnyWordsWithAudio(quoteContent.join(' '), chapter.name)}</p>\n`;
-                htmlContent += `</blockquote>\n`;
-            }
-            inQuote = false;
-            quoteContent = [];
-            // Process the current item as a normal paragraph
-            if (lastY !== null && item.y - lastY > PARAGRAPH_SPACING_THRESHOLD) {
-                if (currentParagraph.length > 0) {
-                    const paragraphText = currentParagraph.join(' ');
-                    htmlContent += formatParagraph(paragraphText, chapter.name);
-                    currentParagraph = [];
-                }
-            }
-            currentParagraph.push(text);
-        } else {
-            // Normal paragraph processing
-            if (lastY !== null && item.y - lastY > PARAGRAPH_SPACING_THRESHOLD) {
-                if (currentParagraph.length > 0) {
-                    const paragraphText = currentParagraph.join(' ');
-                    htmlContent += formatParagraph(paragraphText, chapter.name);
-                    currentParagraph = [];
-                }
-            }
-            currentParagraph.push(text);
-        }
-        
-        lastY = item.y;
-    });
+async function extractText(manifest, chapters) {
+    console.log('Extracting text...');
     
-    // Handle any remaining quote
-    if (inQuote && quoteContent.length > 0) {
-        htmlContent += `<blockquote>\n`;
-        htmlContent += `<p>${formatAnyWordsWithAudio(quoteContent, chapter.name)}</p>\n`;
-        htmlContent += `</blockquote>\n`;
-    }
+    const data = await readPdf(manifest);
+    const fontStyles = readFontStyles(resolveBookPath(manifest, manifest.source.pdf), data);
+    console.log(`Fonts: ${[...fontStyles.values()].map(describeFont).join(', ')}`);
     
-    // Handle any remaining paragraph
-    if (currentParagraph.length > 0) {
-        const paragraphText = currentParagraph.join(' ');
-        htmlContent += formatParagraph(paragraphText, chapter.name);
-    }
+    const model = buildDocumentModel(data, manifest, chapters, {
+        imagesDir: resolveBookPath(manifest, manifest.output.images),
+        fontStyles
+    });
     
-    return htmlContent;
+    console.log(`Processed ${data.pages.length} pages`);
+    return model;
 }
 
-function formatParagraph(paragraphText, chapterName) {
-    if (chapterName === 'GLOSSARY') {
-        const words = paragraphText.split(' ');
-        const firstWord = words[0];
-        const restOfText = words.slice(1).join(' ');
-        return `<p><strong>${formatAnyWordsWithAudio(firstWord, chapterName)}</strong><br>${formatAnyWordsWithAudio(restOfText, chapterName)}</p>\n`;
-    } else if (transcriptionData && shouldApplyAudioMapping(chapterName)) {
-        // Apply audio spans to mapped chapters (skip TOC)
-        return formatParagraphWithAudio(paragraphText, chapterName);
-    } else {
-        return `<p>${escapeHtml(paragraphText)}</p>\n`;
-    }
+function percent(count, total) {
+    return `${(total > 0 ? count / total * 100 : 0).toFixed(1)}%`;
 }
 
-function shouldApplyAudioMapping(chapterName) {
-    // Skip TOC - transcription flows directly from cover to preface
-    // Apply to cover content (processed as paragraphs) and all chapters except TOC
-    return chapterName !== 'TABLE OF CONTENTS';
+function writeReview(manifest, model, alignment) {
+    if (!alignment) {
+        console.log('✗ No transcription - no alignment to review');
+        return;
+    }
+    const reviewPath = resolveBookPath(manifest, manifest.output.review);
+    const html = renderReview(model, recordings.map((recording, number) => ({
+        chapters: recording.chapters,
+        transcription: recording.transcription,
+        gapLog: alignment.recordings[number] ? alignment.recordings[number].gapLog : null,
+        audioSrc: toUrlPath(path.relative(path.dirname(reviewPath), resolveBookPath(manifest, recording.file)))
+    })));
+    fs.writeFileSync(reviewPath, html);
+    console.log(`Wrote alignment review to ${path.relative(manifest.baseDir, reviewPath)}`);
 }
 
-function formatAnyWordsWithAudio(wordText, chapterName) {
-    const words = wordText.split(/\s+/).filter(w => w.length > 0);
-    const audioWords = [];
-    
-    // Add PDF words to global tracking
-    const paragraphStartIndex = currentPdfWordIndex;
-    words.forEach(word => {
-        allPdfWords.push({
-            word: word,
-            index: currentPdfWordIndex,
-            chapter: chapterName,
-            clean: normalizeWord(word)
-        });
-        currentPdfWordIndex++;
-    });
-    
-    // Process each PDF word in this paragraph
-    for (let i = 0; i < words.length; i++) {
-        const pdfWord = words[i];
-        const pdfWordGlobalIndex = paragraphStartIndex + i;
-        
-        const match = attemptWordMatch(pdfWord, pdfWordGlobalIndex);
-        
-        if (match.found) {
-            // Perfect match - wrap with audio span
-            audioWords.push(`<span data-word="${match.transcriptionIndex}" data-start="${match.timing.start}" data-end="${match.timing.end}">${escapeHtml(pdfWord)}</span>`);
-            
-            // Record the match
-            const matchRecord = {
-                pdfIndex: pdfWordGlobalIndex,
-                transcriptionIndex: match.transcriptionIndex,
-                word: pdfWord,
-                timing: match.timing
-            };
-            gapLog.matches.push(matchRecord);
-            
-            // Update the afterMatch reference for the most recent gap
-            if (gapLog.gaps.length > 0 && !gapLog.gaps[gapLog.gaps.length - 1].afterMatch) {
-                gapLog.gaps[gapLog.gaps.length - 1].afterMatch = matchRecord;
-            }
-            
-            currentTranscriptionIndex = match.transcriptionIndex + 1;
-        } else {
-            // No match found - add without audio span
-            audioWords.push(escapeHtml(pdfWord));
-        }
+function proposeRetakes(manifest, alignment) {
+    if (!alignment) {
+        console.log('✗ No transcription - no retakes to find');
+        return;
     }
-
-    return audioWords.join(' ');
-
+    // Cut times come from the transcription as saved, not as expandShortWords left it
+    const retakesPath = resolveBookPath(manifest, manifest.output.retakes);
+    const retakes = recordings.flatMap((recording, number) => {
+        if (!alignment.recordings[number]) return [];
+        const saved = JSON.parse(fs.readFileSync(resolveBookPath(manifest, manifest.audio.recordings[number].transcription), 'utf8'));
+        return findRetakes(alignment.recordings[number].gapLog, saved, recording.file);
+    });
+    const { proposed, approved } = writeRetakes(retakesPath, retakes);
+    console.log(`Proposed ${proposed} retake cuts (${approved} already approved) in ${path.relative(manifest.baseDir, retakesPath)}`);
+    retakes.forEach(retake => console.log(`    ${retake.approved ? '✓' : ' '} ${retake.recording} ${retake.start}s-${retake.end}s ${retake.kind}: "${retake.heard}"`));
 }
 
-function formatParagraphWithAudio(paragraphText, chapterName) {
-    return `<p>${formatAnyWordsWithAudio(paragraphText, chapterName)}</p>\n`;
+// Chapter start and end times, from the alignment
+function writeChapters(manifest, model) {
+    const { map, untimed, ffmpegMissing } = buildChapterMap(model, recordings.map(recording => ({
+        ...recording,
+        path: resolveBookPath(manifest, recording.file)
+    })));
+    const mapPath = resolveBookPath(manifest, manifest.output.chapterMap);
+    const metadataPath = resolveBookPath(manifest, manifest.output.chapterMetadata);
+    writeChapterMap(map, mapPath);
+    const unplaced = writeFfmetadata(map, model.book, metadataPath);
+    console.log(`Wrote chapter map of ${map.chapters.length} chapters to ${path.relative(manifest.baseDir, mapPath)} and ${path.relative(manifest.baseDir, metadataPath)}`);
+    map.recordings.filter(recording => recording.duration === null).forEach(recording => {
+        console.log(`    ✗ ${recording.file} has no transcription and ffprobe can't measure it - its length is unknown`);
+    });
+    if (unplaced > 0) {
+        console.log(`    ✗ ${unplaced} chapters after a recording of unknown length left out of ${path.relative(manifest.baseDir, metadataPath)}`);
+    }
+    if (ffmpegMissing) {
+        console.log('    ✗ ffmpeg not found - chapters start on their first word, not in the silence before it');
+    } else {
+        map.chapters.filter(chapter => !chapter.snapped).forEach(chapter => console.log(`    ✗ No silence before ${chapter.title} - it starts on its first word`));
+    }
+    untimed.forEach(title => console.log(`    ✗ ${title} has no timed words - left out of the chapter map`));
+    return map;
 }
 
-function attemptWordMatch(pdfWord, pdfWordIndex) {
-    const cleanPdfWord = normalizeWord(pdfWord);
-    const lookAheadWindow = 10;
-    
-    // Try to find exact match in next 1-10 transcription words
-    for (let offset = 0; offset < lookAheadWindow && (currentTranscriptionIndex + offset) < transcriptionData.words.length; offset++) {
-        const transcriptionIndex = currentTranscriptionIndex + offset;
-        const transcriptionWord = transcriptionData.words[transcriptionIndex];
-        const cleanTranscriptionWord = normalizeWord(transcriptionWord.word);
-        
-        if (cleanPdfWord === cleanTranscriptionWord) {
-            // Found match! Record any gaps that occurred
-            if (offset > 0) {
-                // There were transcription words we skipped - record as gap
-                recordGap('transcription_missing', currentTranscriptionIndex, transcriptionIndex, pdfWordIndex);
+// How each recording aligned, when the book has several, and chapters left
+// without a recording
+function printRecordingReport(manifest, alignment) {
+    if (recordings.length > 1) {
+        console.log(`Recordings: ${alignment.recordings.filter(Boolean).length} of ${recordings.length} aligned`);
+        recordings.forEach((recording, number) => {
+            const result = alignment.recordings[number];
+            if (!result) {
+                console.log(`    ✗ ${recording.file}: no transcription at ${manifest.audio.recordings[number].transcription}`);
+            } else {
+                console.log(`    ✓ ${recording.file}: matched ${result.matched} of ${result.total} words (${recording.chapters.join(', ')})`);
             }
-            
-            return {
-                found: true,
-                transcriptionIndex: transcriptionIndex,
-                timing: {
-                    start: transcriptionWord.start,
-                    end: transcriptionWord.end
-                }
-            };
-        }
+        });
     }
-    
-    // No match found in transcription window - this is a PDF gap
-    recordGap('pdf_missing', currentTranscriptionIndex, currentTranscriptionIndex, pdfWordIndex);
-    
-    return { found: false };
+    alignment.unknownChapters.forEach(name => console.log(`    ✗ Recorded chapter "${name}" was not found in the PDF`));
+    alignment.unrecordedChapters.forEach(name => console.log(`    ✗ ${name} is in no recording`));
 }
 
-function normalizeWord(word) {
-    let new_word = word.toLowerCase().replace(/[^a-z]/ig, '');
-
-    // Any additional fuzziness we want to induce on both sides?
-    if (new_word.includes("steiner")) {
-        new_word = "bredensteiner"
-    }
-    if (new_word === "rd") {  // "3rd" becomes "rd" after regex
-        new_word = "third"
-    }
+// One row per chapter: words per confidence band, lowest band first
+function printConfidenceHistograms(model) {
+    const histograms = confidenceHistograms(model);
+    const bars = ' ▁▂▃▄▅▆▇█';
+    const bandCount = histograms[0].bands.length;
+    const labels = Array.from({ length: bandCount }, (_, band) => `<${((band + 1) / bandCount).toFixed(1)}`);
+    labels[bandCount - 1] = `≤${(1).toFixed(1)}`;
+    const width = Math.max(...histograms.map(histogram => histogram.chapter.length));
 
-    return new_word;
+    console.log('Alignment confidence by chapter:');
+    console.log(`    ${''.padEnd(width)}  ${labels.map(label => label.padStart(5)).join('')}  untimed`);
+    histograms.forEach(histogram => {
+        const total = histogram.bands.reduce((sum, count) => sum + count, 0) + histogram.untimed;
+        const sparkline = histogram.bands
+            .map(count => bars[total > 0 ? Math.ceil(count / total * (bars.length - 1)) : 0])
+            .join('');
+        const counts = histogram.bands.map(count => String(count).padStart(5)).join('');
+        console.log(`    ${histogram.chapter.padEnd(width)}  ${counts}  ${String(histogram.untimed).padStart(7)}  ${sparkline}`);
+    });
 }
 
-function recordGap(type, transcriptionStart, transcriptionEnd, pdfIndex) {
-    const sequenceId = `gap_${String(gapLog.sequenceCounter++).padStart(3, '0')}`;
-    
-    const lastMatch = gapLog.matches.length > 0 ? gapLog.matches[gapLog.matches.length - 1] : null;
-    
-    let gapWords, gapIndices;
-    
-    if (type === 'transcription_missing') {
-        // Words in transcription that don't appear in PDF
-        gapWords = [];
-        gapIndices = [];
-        for (let i = transcriptionStart; i < transcriptionEnd; i++) {
-            gapWords.push(transcriptionData.words[i].word);
-            gapIndices.push(i);
+// Which aliases did anything, so stale ones can be pruned
+function printAliasReport(manifest, aliases) {
+    if (aliases.length === 0) return;
+    const used = aliases.filter(alias => alias.matched > 0);
+    console.log(`Aliases from ${manifest.audio.aliases}: ${used.length} of ${aliases.length} used`);
+    aliases.forEach(alias => {
+        const entry = `${alias.written} → ${alias.heard.join(' / ')}`;
+        if (alias.occurrences === 0) {
+            console.log(`    ✗ ${entry}: not in the book`);
+        } else if (alias.matched === 0) {
+            console.log(`    ✗ ${entry}: never matched (${alias.occurrences} in the book)`);
+        } else {
+            console.log(`    ✓ ${entry}: ${alias.matched} of ${alias.occurrences} matched`);
         }
-    } else {
-        // PDF words that don't appear in transcription
-        gapWords = [allPdfWords[pdfIndex].word];
-        gapIndices = [pdfIndex];
+    });
+}
+
+// Overrides that no longer point at the words they were written for
+function printOverrideReport(manifest, overrides) {
+    if (!manifest.audio.overrides) return;
+    console.log(`Overrides from ${manifest.audio.overrides}: ${overrides.applied} applied`);
+    overrides.warnings.forEach(warning => console.log(`    ✗ ${warning}`));
+}
+
+function cleanupText(manifest, model) {
+    const sources = recordings
+        .filter(recording => recording.transcription)
+        .map(recording => recording.transcription.words.map(word => word.word));
+    if (manifest.source.wordList) {
+        sources.push(readWordListFile(resolveBookPath(manifest, manifest.source.wordList)));
     }
     
-    gapLog.gaps.push({
-        type: type,
-        beforeMatch: lastMatch,
-        afterMatch: null, // Will be filled by next match
-        gapWords: gapWords,
-        gapIndices: gapIndices,
-        sequenceId: sequenceId
-    });
+    const { joined } = cleanupDocument(model, buildWordList(model, ...sources));
+    console.log(`Cleaned up text (${joined} words rejoined across line breaks)`);
 }
 
-function outputGapAnalysis() {
-    console.log('\n=== GAP ANALYSIS ===');
-    console.log(`Total matches: ${gapLog.matches.length}`);
-    console.log(`Total gaps: ${gapLog.gaps.length}`);
+function renderSite(manifest, model, chapterMap) {
+    const htmlPath = resolveBookPath(manifest, manifest.output.html);
+    const htmlDir = path.dirname(htmlPath);
     
-    if (gapLog.gaps.length > 0) {
-        console.log('\nDetailed gap log:');
-        gapLog.gaps.forEach(gap => {
-            console.log(`\n${gap.sequenceId} (${gap.type}):`);
-            console.log(`  Gap words: ${gap.gapWords.join(', ')}`);
-            console.log(`  Gap indices: ${gap.gapIndices.join(', ')}`);
-            if (gap.beforeMatch) {
-                console.log(`  Before: "${gap.beforeMatch.word}" (PDF:${gap.beforeMatch.pdfIndex}, Trans:${gap.beforeMatch.transcriptionIndex})`);
-            }
-            if (gap.afterMatch) {
-                console.log(`  After: "${gap.afterMatch.word}" (PDF:${gap.afterMatch.pdfIndex}, Trans:${gap.afterMatch.transcriptionIndex})`);
-            }
-        });
-    }
+    const html = renderHtml(model, {
+        imagesUrl: toUrlPath(path.relative(htmlDir, resolveBookPath(manifest, manifest.output.images))),
+        audioSources: manifest.audio
+            ? manifest.audio.recordings.map(recording => toUrlPath(path.relative(htmlDir, resolveBookPath(manifest, recording.file))))
+            : [],
+        chapterMap,
+        tocStartsNarration: Boolean(manifest.player && manifest.player.tocStartsNarration)
+    });
     
-    // Save detailed gap log to file
-    const gapLogPath = path.join(__dirname, 'gap_analysis.json');
-    fs.writeFileSync(gapLogPath, JSON.stringify(gapLog, null, 2));
-    console.log(`\nDetailed gap analysis saved to: ${gapLogPath}`);
+    fs.writeFileSync(htmlPath, html);
+    console.log(`Wrote ${path.relative(manifest.baseDir, htmlPath)}`);
 }
 
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
+function toUrlPath(relativePath) {
+    return relativePath.split(path.sep).join('/') || '.';
 }
 
 buildSite();
\ No newline at end of file
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { narratedTexts } = require('./document-model');
+
+// Where each chapter's narration starts and ends. Nothing in the audio says
+// so; the alignment does - a chapter starts with the first timed word of its
+// heading. That word's start is moved back into the silence before it, so a
+// chapter begins cleanly rather than on a breath:
+//
+// {
+//   recordings: [{ file, duration }],
+//   chapters: [{ id, title, recording, start, end, snapped }]
+// }
+//
+// start and end are seconds into the chapter's recording; a chapter runs
+// until the next one in its recording starts, and the first chapter in a
+// recording starts at 0. snapped is false when no silence was found near
+// the chapter's first word. Chapters with no timed words are left out. A
+// recording's duration is its transcription's, or FFprobe's when it has none,
+// and null when neither can tell. The map is written as JSON for the player
+// and as an FFmpeg metadata file, on the timeline of the recordings played
+// back to back, for anything that exports the audio with chapters
+
+const SNAP_WINDOW = 4; // Seconds before a chapter's first word to look for silence in
+const SILENCE = { noise: '-35dB', minDuration: 0.5 };
+
+// recordings are [{ file, path, transcription }], path being where the audio
+// is and transcription null when there is none. Returns the map and the
+// chapters it left out
+function buildChapterMap(model, recordings) {
+    const chapters = [];
+    const untimed = [];
+    model.chapters.forEach(chapter => {
+        const first = narratedTexts(model, [chapter.name]).flatMap(text => text.words).find(word => word.timing);
+        if (first) {
+            chapters.push({ id: chapter.id, title: chapter.tocTitle, recording: first.timing.recording, start: first.timing.start, snapped: false });
+        } else {
+            untimed.push(chapter.tocTitle);
+        }
+    });
+
+    let ffmpegMissing = false;
+    chapters.forEach((chapter, index) => {
+        const previous = chapters[index - 1];
+        if (!previous || previous.recording !== chapter.recording) {
+            chapter.start = 0;
+            chapter.snapped = true;
+            return;
+        }
+        if (ffmpegMissing) return;
+        const silence = silenceBefore(recordings[chapter.recording].path, chapter.start);
+        if (silence === undefined) {
+            ffmpegMissing = true;
+        } else if (silence) {
+            chapter.start = round((silence.start + silence.end) / 2);
+            chapter.snapped = true;
+        }
+    });
+
+    const durations = recordings.map(recording => (recording.transcription ? recording.transcription.duration : probeDuration(recording.path)));
+    chapters.forEach((chapter, index) => {
+        const next = chapters[index + 1];
+        chapter.end = next && next.recording === chapter.recording ? next.start : durations[chapter.recording];
+    });
+
+    return {
+        map: {
+            recordings: recordings.map((recording, number) => ({ file: recording.file, duration: durations[number] === null ? null : round(durations[number]) })),
+            chapters: chapters.map(({ id, title, recording, start, end, snapped }) => ({ id, title, recording, start: round(start), end: round(end), snapped }))
+        },
+        untimed,
+        ffmpegMissing
+    };
+}
+
+// The last silence that ends near time, searched for in the few seconds
+// before it; null if there is none and undefined if FFmpeg isn't installed
+function silenceBefore(audioPath, time) {
+    const from = Math.max(0, time - SNAP_WINDOW);
+    const result = spawnSync('ffmpeg', [
+        '-hide_banner', '-nostats', '-ss', String(from), '-t', String(time - from + 0.2), '-i', audioPath,
+        '-af', `silencedetect=noise=${SILENCE.noise}:d=${SILENCE.minDuration}`, '-f', 'null', '-'
+    ], { encoding: 'utf8' });
+    if (result.error && result.error.code === 'ENOENT') return undefined;
+    if (result.status !== 0) return null;
+
+    // Times count from where the window starts; a silence still going at its
+    // end runs up to the word
+    const silences = [];
+    result.stderr.split('\n').forEach(line => {
+        const start = /silence_start: (-?[\d.]+)/.exec(line);
+        const end = /silence_end: ([\d.]+)/.exec(line);
+        if (start) silences.push({ start: from + Math.max(0, parseFloat(start[1])), end: time });
+        if (end && silences.length > 0) silences[silences.length - 1].end = Math.min(time, from + parseFloat(end[1]));
+    });
+    return silences.length > 0 ? silences[silences.length - 1] : null;
+}
+
+// FFprobe's duration of the audio, or null if FFprobe isn't installed or
+// can't read it
+function probeDuration(audioPath) {
+    const result = spawnSync('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', audioPath], { encoding: 'utf8' });
+    const duration = parseFloat(result.stdout);
+    return result.status === 0 && Number.isFinite(duration) ? duration : null;
+}
+
+function writeChapterMap(map, filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(map, null, 2) + '\n');
+}
+
+// The map a build wrote, or null if there isn't one
+function readChapterMap(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+// FFmpeg's metadata format, with the recordings' chapters one after another
+// as the combined recording has them:
+//   ffmpeg -i book_audio.mp3 -i chapters.ffmetadata -map_metadata 1 -codec copy book_audio.m4b
+// Nothing after a recording of unknown duration can be placed, so chapters
+// from there on are left out. Returns how many were
+function writeFfmetadata(map, book, filePath) {
+    const offsets = [];
+    map.recordings.reduce((offset, recording, number) => {
+        offsets[number] = offset;
+        return offset === null || recording.duration === null ? null : offset + recording.duration;
+    }, 0);
+    const placed = map.chapters.filter(chapter => offsets[chapter.recording] !== null);
+    const milliseconds = (chapter, time) => Math.round((offsets[chapter.recording] + time) * 1000);
+
+    let metadata = ';FFMETADATA1\n';
+    metadata += `title=${escapeMetadata(book.title)}\n`;
+    metadata += `artist=${escapeMetadata(book.author)}\n`;
+    placed.forEach(chapter => {
+        metadata += '\n[CHAPTER]\nTIMEBASE=1/1000\n';
+        metadata += `START=${milliseconds(chapter, chapter.start)}\n`;
+        metadata += `END=${milliseconds(chapter, chapter.end)}\n`;
+        metadata += `title=${escapeMetadata(chapter.title)}\n`;
+    });
+    fs.writeFileSync(filePath, metadata);
+    return map.chapters.length - placed.length;
+}
+
+function escapeMetadata(text) {
+    return String(text).replace(/[=;#\\\n]/g, character => `\\${character}`);
+}
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+module.exports = {
+    buildChapterMap,
+    writeChapterMap,
+    readChapterMap,
+    writeFfmetadata
+};
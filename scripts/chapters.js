@@ -0,0 +1,200 @@
+// Chapter structure inferred from the PDF itself: the table of contents gives
+// the order and printed page numbers, and the heading font confirms where
+// each chapter actually opens
+
+const { LINE_Y_TOLERANCE, isHeadingItem, measureBodyFont } = require('./layout');
+
+const FOOTER_REGION = 0.8; // Page numbers sit below this fraction of the page height
+
+function detectChapters(data, manifest) {
+    const bodyFont = measureBodyFont(data);
+    const toc = readTableOfContents(data);
+    const pageLabels = readPageLabels(data);
+
+    // Without a table of contents, fall back to the titles the manifest lists
+    const entries = toc
+        ? toc.entries
+        : (manifest.chapters || []).map(chapter => ({ title: chapter.name, label: null }));
+    if (entries.length === 0) {
+        throw new Error('No TABLE OF CONTENTS page found and no chapters listed in the manifest - cannot detect chapters');
+    }
+
+    const chapters = [];
+    let searchFrom = toc ? toc.pageIndex + 1 : 0;
+
+    entries.forEach(entry => {
+        let startPage = pageLabels.has(entry.label) ? pageLabels.get(entry.label) : -1;
+        let heading = startPage !== -1 ? findHeading(data.pages[startPage], entry.title, bodyFont) : null;
+
+        // The printed page number is only a hint - look forward for the heading if it moved
+        for (let pageIndex = searchFrom; !heading && pageIndex < data.pages.length; pageIndex++) {
+            heading = findHeading(data.pages[pageIndex], entry.title, bodyFont);
+            startPage = pageIndex;
+        }
+
+        if (!heading) {
+            console.log(`    ✗ "${entry.title}" is listed in the table of contents but no heading for it was found`);
+            return;
+        }
+
+        chapters.push({
+            title: heading.text,
+            tocTitle: entry.title,
+            startPage,
+            headingItems: new Set(heading.items)
+        });
+        searchFrom = startPage + 1;
+    });
+
+    chapters.forEach((chapter, index) => {
+        const next = chapters[index + 1];
+        chapter.endPage = next ? next.startPage - 1 : data.pages.length - 1;
+        chapter.pages = [];
+        for (let pageIndex = chapter.startPage; pageIndex <= chapter.endPage; pageIndex++) {
+            chapter.pages.push(pageIndex);
+        }
+
+        // Running heads repeat the title (usually in capitals) at the top of each page
+        chapter.runningHeads = new Set();
+        chapter.pages.forEach(pageIndex => {
+            readHeadingLines(data.pages[pageIndex], bodyFont)
+                .filter(line => line.key === titleKey(chapter.title) && !line.items.some(item => chapter.headingItems.has(item)))
+                .forEach(line => {
+                    if (!chapter.name) chapter.name = line.text;
+                    line.items.forEach(item => chapter.runningHeads.add(item));
+                });
+        });
+        chapter.name = chapter.name || chapter.title.toUpperCase();
+        chapter.id = chapterIdFor(chapter.name);
+    });
+
+    return mergeManifestChapters(chapters, manifest);
+}
+
+// Image names, alt text and kind still come from the manifest, matched by chapter id
+function mergeManifestChapters(chapters, manifest) {
+    const byId = new Map(chapters.map(chapter => [chapter.id, chapter]));
+
+    (manifest.chapters || []).forEach(entry => {
+        const chapter = byId.get(chapterIdFor(entry.name));
+        if (!chapter) {
+            console.log(`    ✗ Manifest chapter "${entry.name}" was not found in the PDF`);
+            return;
+        }
+        if (entry.image) chapter.image = entry.image;
+        if (entry.alt) chapter.alt = entry.alt;
+        if (entry.kind) chapter.kind = entry.kind;
+    });
+
+    return chapters;
+}
+
+// Consecutive heading-font items on the same line, joined the way they print
+// (pdf.js splits ligatures like "fl" into items of their own)
+function readHeadingLines(page, bodyFont) {
+    const lines = [];
+    let current = null;
+
+    page.content.forEach(item => {
+        if (!item.str.trim() && current && Math.abs(item.y - current.y) < LINE_Y_TOLERANCE) {
+            current.text += item.str;
+            return;
+        }
+        if (!isHeadingItem(item, bodyFont) || !item.str.trim()) {
+            current = null;
+            return;
+        }
+        if (!current || Math.abs(item.y - current.y) >= LINE_Y_TOLERANCE) {
+            current = { y: item.y, text: '', items: [] };
+            lines.push(current);
+        }
+        current.text += item.str;
+        current.items.push(item);
+    });
+
+    return lines.map(line => {
+        const text = line.text.replace(/\s+/g, ' ').trim();
+        return { text, key: titleKey(text), items: line.items, y: line.y };
+    });
+}
+
+function findHeading(page, title, bodyFont) {
+    const key = titleKey(title);
+    const matches = readHeadingLines(page, bodyFont).filter(line => line.key === key);
+    if (matches.length === 0) return null;
+
+    // The running head matches too (in capitals) - prefer the exact spelling,
+    // then the lowest line on the page
+    return matches.find(line => line.text === title.replace(/\s+/g, ' ').trim()) || matches[matches.length - 1];
+}
+
+function titleKey(text) {
+    return text.normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function readTableOfContents(data) {
+    const pageIndex = data.pages.findIndex(page =>
+        page.content.some(item => item.str.includes('TABLE OF CONTENTS'))
+    );
+    if (pageIndex === -1) return null;
+
+    const page = data.pages[pageIndex];
+    const startIndex = page.content.findIndex(item => item.str.includes('TABLE OF CONTENTS'));
+    const footerY = page.pageInfo.height * FOOTER_REGION;
+    const lines = [];
+
+    page.content.slice(startIndex + 1).forEach(item => {
+        if (item.y > footerY) return;
+        const line = lines.find(candidate => Math.abs(candidate.y - item.y) < LINE_Y_TOLERANCE);
+        if (line) {
+            line.text += item.str;
+        } else {
+            lines.push({ y: item.y, text: item.str });
+        }
+    });
+
+    const entries = lines
+        .map(line => {
+            // "Title ........ 15" - dot leaders and the page number are optional
+            const match = line.text.trim().match(/^(.*?)[\s.]*?(\d+)?$/);
+            return { title: match[1].replace(/\s+/g, ' ').trim(), label: match[2] || null };
+        })
+        .filter(entry => entry.title);
+
+    return { pageIndex, entries };
+}
+
+// Printed page number -> page index, read from the footer of each page
+function readPageLabels(data) {
+    const labels = new Map();
+    data.pages.forEach((page, pageIndex) => {
+        const footer = page.content
+            .filter(item => item.str.trim().match(/^\d+$/) && item.y > page.pageInfo.height * FOOTER_REGION)
+            .sort((a, b) => b.y - a.y)[0];
+        if (footer && !labels.has(footer.str.trim())) {
+            labels.set(footer.str.trim(), pageIndex);
+        }
+    });
+    return labels;
+}
+
+function chapterIdFor(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function printChapterSummary(chapters) {
+    console.log(`Detected ${chapters.length} chapters:`);
+    const width = Math.max(...chapters.map(chapter => chapter.name.length));
+    chapters.forEach(chapter => {
+        const pages = chapter.startPage === chapter.endPage
+            ? `page ${chapter.startPage + 1}`
+            : `pages ${chapter.startPage + 1}-${chapter.endPage + 1}`;
+        console.log(`    ✓ ${chapter.name.padEnd(width)}  ${pages.padEnd(13)} <h3> ${chapter.title}`);
+    });
+}
+
+module.exports = {
+    detectChapters,
+    printChapterSummary,
+    chapterIdFor
+};
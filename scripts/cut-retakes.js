@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadManifest, resolveBookPath, ManifestError } = require('./manifest');
+const { readRetakes, cutTranscription, RetakeError } = require('./retakes');
+const { transcriptionPathFor } = require('./transcription-providers');
+
+// Cuts the approved retakes (see retakes.js) out of each recording. The
+// originals are left alone: the edit of cover_and_preface_gentle_gate.mp3
+// is written beside it as cover_and_preface_edited.mp3, with its
+// transcription, timestamps shifted to match, as
+// cover_and_preface_edited_transcription.json - point book.json at both to
+// use them. Cut times are always those of the original recording, so this can
+// be run again after approving more cuts
+//   npm run build -- --retakes    proposes cuts in retakes.json
+//   npm run cut-retakes           cuts the approved ones
+
+const BITRATE = '128k';
+
+function cutRetakes() {
+    const manifestPath = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+    try {
+        const manifest = loadManifest(manifestPath);
+        const retakesPath = resolveBookPath(manifest, manifest.output.retakes);
+        if (!fs.existsSync(retakesPath)) {
+            throw new RetakeError(`No retakes file at ${retakesPath} - run npm run build -- --retakes first`);
+        }
+        const approved = readRetakes(retakesPath).filter(retake => retake.approved);
+        console.log(`Cutting ${approved.length} approved retakes for "${manifest.title}"`);
+
+        const recordings = manifest.audio ? manifest.audio.recordings : [];
+        const unknown = approved.filter(retake => !recordings.some(recording => recording.file === retake.recording));
+        unknown.forEach(retake => console.log(`    ✗ ${retake.recording} (${retake.start}s) is not a recording in the manifest`));
+
+        recordings.forEach(recording => {
+            const cuts = mergeCuts(approved.filter(retake => retake.recording === recording.file));
+            if (cuts.length > 0) cutRecording(manifest, recording, cuts);
+        });
+        console.log('Retakes cut!');
+    } catch (error) {
+        if (error instanceof ManifestError || error instanceof RetakeError) {
+            console.error(error.message);
+        } else {
+            console.error('Error cutting retakes:', error);
+        }
+        process.exit(1);
+    }
+}
+
+// Cuts in order, overlapping ones joined
+function mergeCuts(retakes) {
+    const cuts = [];
+    [...retakes].sort((a, b) => a.start - b.start).forEach(retake => {
+        const last = cuts[cuts.length - 1];
+        if (last && retake.start <= last.end) {
+            last.end = Math.max(last.end, retake.end);
+        } else {
+            cuts.push({ start: retake.start, end: retake.end });
+        }
+    });
+    return cuts;
+}
+
+function cutRecording(manifest, recording, cuts) {
+    const sourcePath = resolveBookPath(manifest, recording.file);
+    const extension = path.extname(recording.file);
+    const editedFile = `${path.basename(recording.file, extension).replace(/_gentle_gate$/, '')}_edited${extension}`;
+    const editedPath = path.join(path.dirname(sourcePath), editedFile);
+    const transcriptionPath = resolveBookPath(manifest, recording.transcription);
+    if (!fs.existsSync(transcriptionPath)) throw new RetakeError(`No transcription at ${transcriptionPath} to shift`);
+    const transcription = JSON.parse(fs.readFileSync(transcriptionPath, 'utf8'));
+
+    // Everything outside the cuts, its timestamps made continuous again
+    const keep = `aselect='not(${cuts.map(cut => `between(t,${cut.start},${cut.end})`).join('+')})',asetpts=N/SR/TB`;
+    ffmpeg(['-y', '-i', sourcePath, '-af', keep, '-codec:a', 'libmp3lame', '-b:a', BITRATE, editedPath]);
+    const edited = cutTranscription(transcription, cuts);
+    const editedTranscriptionPath = transcriptionPathFor(editedPath);
+    fs.writeFileSync(editedTranscriptionPath, JSON.stringify(edited, null, 2));
+
+    const removed = cuts.reduce((total, cut) => total + cut.end - cut.start, 0);
+    console.log(`    ✓ ${editedFile}: ${cuts.length} cuts, ${removed.toFixed(1)}s and ${transcription.words.length - edited.words.length} words removed`);
+    console.log(`      transcription shifted to match in ${path.relative(manifest.baseDir, editedTranscriptionPath)}`);
+}
+
+function ffmpeg(args) {
+    const result = spawnSync('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args], { encoding: 'utf8' });
+    if (result.error && result.error.code === 'ENOENT') {
+        throw new RetakeError('ffmpeg not found - install FFmpeg to cut retakes');
+    }
+    if (result.status !== 0) {
+        throw new RetakeError(`ffmpeg failed: ${(result.stderr || '').trim().split('\n').pop()}`);
+    }
+}
+
+cutRetakes();
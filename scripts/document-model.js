@@ -0,0 +1,452 @@
+const fs = require('fs');
+const path = require('path');
+const { LINE_Y_TOLERANCE, MARGIN_TOLERANCE, isHeadingItem, measureLayout, readLines } = require('./layout');
+const { readFootnotes } = require('./footnotes');
+const { chapterIdFor } = require('./chapters');
+
+// The document model sits between PDF extraction and rendering: plain JSON
+// describing the book's structure, down to individual words (and, once the
+// aligner has run, their narration timings). It is written out as a build
+// artifact so it can be inspected, diffed and hand-corrected, and every
+// output format is rendered from it rather than from pdf.js-extract items.
+//
+// {
+//   format, version, book: { title, subtitle, author, source },
+//   cover: { title, subtitle, byline, figure },
+//   chapters: [{ id, name, kind, tocTitle, pages: { start, end }, title, blocks, notes }]
+// }
+//
+// Text is always { words: [{ text, em?, strong?, footnote?, narrated?, timing? }] },
+// em and strong marking words set in an italic or bolder font than the body,
+// footnote ({ id, label }) a word followed by a footnote marker, and narrated
+// false a word an alignment override says isn't read aloud. timing is
+// { start, end, index?, recording, match, confidence, estimated? }, recording
+// being which of the book's recordings the times are in (see alignment.js),
+// index the transcription word (none when estimated), match how the aligner
+// matched the word and confidence how sure it is, from 0 to 1. Notes are
+// { id, label, words }. Blocks:
+//   { type: 'figure', image, alt }
+//   { type: 'heading', level, id, words, narrated? } - level 3 opens the chapter,
+//     4 and below are its sections, ranked by font size and weight across the book
+//   { type: 'paragraph', words }
+//   { type: 'blockquote', paragraphs: [{ words }], citation: { words } | null }
+//   { type: 'glossary-entry', term: { words }, definition: { words } }
+
+const MODEL_FORMAT = 'meremetaphor-document';
+const MODEL_VERSION = 1;
+
+const INLINE_JSON_LENGTH = 100; // Values whose JSON is shorter than this are written on one line
+
+const PARAGRAPH_SPACING_THRESHOLD = 25; // Y-coordinate difference that indicates new paragraph
+const WORD_GAP = 1; // Items closer than this on a line are parts of one word
+const CHAPTER_HEADING_LEVEL = 3;
+const MAX_HEADING_LEVEL = 6;
+
+function buildDocumentModel(data, manifest, chapters, { imagesDir, fontStyles = new Map() }) {
+    const layout = measureLayout(data, chapters);
+    const marksFor = emphasisMarks(fontStyles, layout.bodyFont);
+
+    const model = {
+        format: MODEL_FORMAT,
+        version: MODEL_VERSION,
+        book: {
+            title: manifest.title,
+            subtitle: manifest.subtitle || '',
+            author: manifest.author,
+            source: manifest.source.pdf
+        },
+        cover: {
+            title: toText(manifest.title),
+            subtitle: toText(manifest.subtitle || ''),
+            byline: toText(manifest.cover.byline || `by ${manifest.author}`),
+            figure: { type: 'figure', image: manifest.cover.image, alt: manifest.cover.alt }
+        },
+        chapters: chapters.map(chapter => buildChapter(data, chapter, layout, marksFor, imagesDir))
+    };
+
+    assignHeadingLevels(model, fontStyles);
+    assignHeadingIds(model);
+    return model;
+}
+
+function buildChapter(data, chapter, layout, marksFor, imagesDir) {
+    const kind = chapter.kind || 'chapter';
+    const blocks = [];
+
+    const image = chapter.image || `${chapter.id}-illustration.png`;
+    if (fs.existsSync(path.join(imagesDir, image))) {
+        blocks.push({ type: 'figure', image, alt: chapter.alt || `Illustration for ${chapter.name}` });
+    }
+
+    // The printed chapter heading repeats the title, which is only narrated once
+    blocks.push({ type: 'heading', level: CHAPTER_HEADING_LEVEL, id: `${chapter.id}-title`, narrated: false, words: toWords(chapter.title) });
+
+    const { blocks: pageBlocks, notes } = readChapterBlocks(data, chapter, kind, layout, marksFor);
+    pageBlocks.forEach(block => blocks.push(block));
+
+    return {
+        id: chapter.id,
+        name: chapter.name,
+        kind,
+        tocTitle: chapter.tocTitle,
+        pages: { start: chapter.startPage + 1, end: chapter.endPage + 1 },
+        title: toText(chapter.name),
+        blocks,
+        notes
+    };
+}
+
+// Paragraph and quote state carries across pages, so text that runs over a
+// page break stays one paragraph. Lines are classified by their indentation
+// relative to the page's body margin: flush is body text, the paragraph indent
+// opens a paragraph, and any other indent (or a run of lines sharing one) is
+// a quote
+function readChapterBlocks(data, chapter, kind, layout, marksFor) {
+    const blocks = [];
+    let currentParagraph = [];
+    let quote = null; // { offset, paragraphs: [words], citation }
+    let lastY = null;
+    let lastItem = null;
+    let current = null; // { pageIndex, footnotes } of the page being read
+    let heading = null; // The section heading being read, while its lines continue
+
+    const flushParagraph = () => {
+        if (currentParagraph.length > 0) {
+            blocks.push(paragraphBlock(currentParagraph, kind));
+            currentParagraph = [];
+        }
+    };
+    const flushQuote = () => {
+        if (quote) {
+            blocks.push(blockquoteBlock(quote.paragraphs.filter(words => words.length > 0), quote.citation));
+            quote = null;
+        }
+    };
+
+    // Styled runs split a line into several items; an item that butts up
+    // against the previous one (a comma after an italic word) joins its word
+    const addWords = (target, item) => {
+        const words = toWords(item.str.trim(), marksFor(item));
+        const joinsPrevious = lastItem && target.length > 0 && /^\S/.test(item.str)
+            && Math.abs(item.y - lastItem.y) < LINE_Y_TOLERANCE
+            && Math.abs(item.x - (lastItem.x + lastItem.width)) < WORD_GAP;
+        if (joinsPrevious) {
+            target[target.length - 1].text += words.shift().text;
+        }
+        words.forEach(word => target.push(word));
+        lastItem = item;
+    };
+    // Footnote markers go after the word they follow on their line
+    const addLine = (target, line) => {
+        const markers = current.footnotes.markers.filter(marker => Math.abs(marker.line.y - line.y) < LINE_Y_TOLERANCE);
+        [...line.items, ...markers].sort((a, b) => (a.item || a).x - (b.item || b).x).forEach(entry => {
+            if (entry.item) {
+                addMarker(target, entry);
+            } else {
+                addWords(target, entry);
+            }
+        });
+    };
+
+    const isHeading = item => chapter.runningHeads.has(item) || chapter.headingItems.has(item);
+
+    // Notes are read up front, since a marker can come a page before its note
+    const notes = [];
+    const pageFootnotes = chapter.pages.map(pageIndex => {
+        const footnotes = readFootnotes(data.pages[pageIndex], layout.bodyFont, isHeading);
+        footnotes.notes.forEach(note => {
+            const words = [];
+            note.lines.forEach(line => {
+                if (line.lead) toWords(line.lead.text, marksFor(line.lead.item)).forEach(word => words.push(word));
+                line.items.forEach(item => toWords(item.str.trim(), marksFor(item)).forEach(word => words.push(word)));
+            });
+            notes.push({ id: `${chapter.id}-note-${notes.length + 1}`, label: note.label, words, pageIndex, claimed: false });
+        });
+        return footnotes;
+    });
+
+    // A marker refers to the first unclaimed note with its label from this page on
+    const addMarker = (target, marker) => {
+        const note = notes.find(candidate => !candidate.claimed && candidate.label === marker.label && candidate.pageIndex >= current.pageIndex);
+        if (!note || target.length === 0) return;
+        note.claimed = true;
+        target[target.length - 1].footnote = { id: note.id, label: note.label };
+    };
+
+    chapter.pages.forEach((pageIndex, pageNumber) => {
+        const footnotes = pageFootnotes[pageNumber];
+        // Running heads, page numbers, the chapter heading and footnotes are accounted for elsewhere
+        const skip = item => item.str.trim().match(/^\d+$/) || isHeading(item) || footnotes.items.has(item);
+        const margin = layout.marginFor(pageIndex);
+        const lines = readLines(data.pages[pageIndex], skip);
+        current = { pageIndex, footnotes };
+        lastY = null;
+        lastItem = null;
+        heading = null;
+
+        lines.forEach((line, lineIndex) => {
+            const offset = line.x - margin;
+            const next = lines[lineIndex + 1];
+            const nextOffset = next && next.y - line.y <= PARAGRAPH_SPACING_THRESHOLD ? next.x - margin : null;
+            const gap = lastY !== null && line.y - lastY > PARAGRAPH_SPACING_THRESHOLD;
+
+            // A block left open on the previous page continues only if this page
+            // starts at the top of the text area at the same indentation, in body
+            // text (glossary terms start flush at the margin too)
+            if (lastY === null && !continuesBlock(line, quote ? quote.offset : 0, margin, layout)) {
+                flushParagraph();
+                flushQuote();
+            }
+            lastY = line.y;
+
+            // A line set entirely in a heading font is a section heading (or the
+            // next line of one); glossary terms look the same but are entries
+            if (kind !== 'glossary' && line.items.every(item => isHeadingItem(item, layout.bodyFont))) {
+                const style = headingStyle(line.items[0]);
+                if (!heading || heading.style !== style || gap) {
+                    flushParagraph();
+                    flushQuote();
+                    heading = { type: 'heading', style, words: [] };
+                    blocks.push(heading);
+                }
+                addLine(heading.words, line);
+                return;
+            }
+            heading = null;
+
+            if (quote) {
+                const text = line.items.map(item => item.str).join('').trim();
+                const returnsToQuote = nextOffset !== null && near(nextOffset, quote.offset);
+                const dashLed = /^[—―]/.test(text) && offset > quote.offset - MARGIN_TOLERANCE;
+                if (!returnsToQuote && (dashLed || offset > quote.offset + layout.indent)) {
+                    // An attribution: dash-led, or set well in from the quote as its last line
+                    quote.citation = [];
+                    addLine(quote.citation, line);
+                    flushQuote();
+                    return;
+                }
+                if (near(offset, quote.offset) || (offset > quote.offset && returnsToQuote)) {
+                    // A gap or an indented first line starts another paragraph of the quote
+                    if (gap || !near(offset, quote.offset)) quote.paragraphs.push([]);
+                    addLine(quote.paragraphs[quote.paragraphs.length - 1], line);
+                    return;
+                }
+                flushQuote();
+            }
+
+            const opensParagraph = near(offset, layout.indent) && (nextOffset === null || !near(nextOffset, offset));
+            if (offset > MARGIN_TOLERANCE && !opensParagraph) {
+                flushParagraph();
+                quote = { offset, paragraphs: [[]], citation: null };
+                addLine(quote.paragraphs[0], line);
+                return;
+            }
+
+            if (gap || opensParagraph) {
+                flushParagraph();
+            }
+            addLine(currentParagraph, line);
+        });
+    });
+
+    flushQuote();
+    flushParagraph();
+
+    return {
+        blocks,
+        notes: notes.map(({ id, label, words }) => ({ id, label, words }))
+    };
+}
+
+function headingStyle(item) {
+    return `${item.fontName}|${Math.round(item.height)}`;
+}
+
+// Section headings rank below the chapter heading by size, then weight, the
+// same way in every chapter
+function assignHeadingLevels(model, fontStyles) {
+    const sections = [];
+    model.chapters.forEach(chapter => chapter.blocks.forEach(block => {
+        if (block.type === 'heading' && block.style) sections.push(block);
+    }));
+
+    const prominence = style => {
+        const [fontName, height] = style.split('|');
+        const font = fontStyles.get(fontName) || {};
+        return [Number(height), font.bold ? 1 : 0, font.italic ? 0 : 1];
+    };
+    const styles = [...new Set(sections.map(block => block.style))].sort((a, b) => {
+        const [pa, pb] = [prominence(a), prominence(b)];
+        return pb[0] - pa[0] || pb[1] - pa[1] || pb[2] - pa[2];
+    });
+
+    sections.forEach(block => {
+        block.level = Math.min(MAX_HEADING_LEVEL, CHAPTER_HEADING_LEVEL + 1 + styles.indexOf(block.style));
+        delete block.style;
+    });
+}
+
+// Section anchor ids from the chapter id and heading text, unique across the book
+function assignHeadingIds(model) {
+    const used = new Set(model.chapters.map(chapter => chapter.id));
+    model.chapters.forEach(chapter => chapter.blocks.forEach(block => {
+        if (block.type === 'heading' && block.id) used.add(block.id);
+    }));
+    model.chapters.forEach(chapter => chapter.blocks.forEach(block => {
+        if (block.type !== 'heading' || block.id) return;
+        const base = `${chapter.id}-${chapterIdFor(block.words.map(word => word.text).join(' ')) || 'section'}`;
+        let id = base;
+        for (let suffix = 2; used.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        used.add(id);
+        block.id = id;
+    }));
+}
+
+function continuesBlock(line, blockOffset, margin, layout) {
+    return line.items[0].fontName === layout.bodyFont.fontName
+        && near(line.x - margin, blockOffset)
+        && line.y - layout.textTop < PARAGRAPH_SPACING_THRESHOLD;
+}
+
+function near(a, b) {
+    return Math.abs(a - b) < MARGIN_TOLERANCE;
+}
+
+// Emphasis is relative to the body font: in a book set in a bold face, only
+// something heavier still would be strong
+function emphasisMarks(fontStyles, bodyFont) {
+    const body = fontStyles.get(bodyFont.fontName) || { bold: false, italic: false };
+    return item => {
+        const style = fontStyles.get(item.fontName);
+        if (!style) return {};
+        return {
+            em: style.italic && !body.italic,
+            strong: style.bold && !body.bold
+        };
+    };
+}
+
+function paragraphBlock(words, kind) {
+    if (kind === 'glossary') {
+        // The term is the bold run the entry opens with (at least one word);
+        // the entry itself renders it bold
+        const termLength = Math.max(1, words.findIndex(word => !word.strong));
+        const term = words.slice(0, termLength).map(({ strong, ...word }) => word);
+        return { type: 'glossary-entry', term: { words: term }, definition: { words: words.slice(termLength) } };
+    }
+    return { type: 'paragraph', words };
+}
+
+function blockquoteBlock(paragraphs, citationWords) {
+    return {
+        type: 'blockquote',
+        paragraphs: paragraphs.map(words => ({ words })),
+        citation: citationWords ? { words: citationWords } : null
+    };
+}
+
+function toText(text) {
+    return { words: toWords(text) };
+}
+
+function toWords(text, marks = {}) {
+    return text.split(/\s+/).filter(word => word.length > 0).map(word => {
+        const result = { text: word };
+        if (marks.em) result.em = true;
+        if (marks.strong) result.strong = true;
+        return result;
+    });
+}
+
+// Every run of words in reading order, with the chapter it belongs to
+function documentTexts(model) {
+    const texts = [model.cover.title, model.cover.subtitle, model.cover.byline]
+        .map(text => ({ chapter: 'COVER', words: text.words, narrated: true }));
+
+    model.chapters.forEach(chapter => {
+        texts.push({ chapter: chapter.name, words: chapter.title.words, narrated: true });
+
+        // A footnote is read after the block that refers to it; any nothing
+        // refers to come at the end of the chapter
+        const notes = new Map((chapter.notes || []).map(note => [note.id, note]));
+        const addNote = id => {
+            texts.push({ chapter: chapter.name, words: notes.get(id).words, narrated: true });
+            notes.delete(id);
+        };
+
+        chapter.blocks.forEach(block => {
+            const blockWords = blockTexts(block);
+            blockWords.forEach(words => texts.push({ chapter: chapter.name, words, narrated: block.narrated !== false }));
+            blockWords.forEach(words => words.forEach(word => {
+                if (word.footnote && notes.has(word.footnote.id)) addNote(word.footnote.id);
+            }));
+        });
+        [...notes.keys()].forEach(addNote);
+    });
+
+    return texts;
+}
+
+// Optionally only those of some chapters (names, COVER for the cover)
+function narratedTexts(model, chapters) {
+    const ids = chapters ? new Set(chapters.map(chapterIdFor)) : null;
+    return documentTexts(model).filter(text => text.narrated && (!ids || ids.has(chapterIdFor(text.chapter))));
+}
+
+function blockTexts(block) {
+    switch (block.type) {
+        case 'heading':
+        case 'paragraph':
+            return [block.words];
+        case 'blockquote':
+            return block.paragraphs.map(paragraph => paragraph.words)
+                .concat(block.citation ? [block.citation.words] : []);
+        case 'glossary-entry':
+            return [block.term.words, block.definition.words];
+        default:
+            return [];
+    }
+}
+
+function writeDocumentModel(model, modelPath) {
+    fs.writeFileSync(modelPath, stringifyModel(model) + '\n');
+}
+
+// Like JSON.stringify(model, null, 2), except short values (words, mostly)
+// stay on one line, which keeps the file readable and its diffs small
+function stringifyModel(value, indent = '') {
+    const compact = JSON.stringify(value);
+    if (value === null || typeof value !== 'object' || compact.length <= INLINE_JSON_LENGTH) {
+        return compact;
+    }
+
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+        return `[\n${value.map(item => inner + stringifyModel(item, inner)).join(',\n')}\n${indent}]`;
+    }
+    const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .map(key => `${inner}${JSON.stringify(key)}: ${stringifyModel(value[key], inner)}`);
+    return `{\n${entries.join(',\n')}\n${indent}}`;
+}
+
+function readDocumentModel(modelPath) {
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`No document model at ${modelPath} - run a full build first`);
+    }
+    const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    if (model.format !== MODEL_FORMAT || model.version !== MODEL_VERSION) {
+        throw new Error(`${modelPath} is not a version ${MODEL_VERSION} ${MODEL_FORMAT} file`);
+    }
+    return model;
+}
+
+module.exports = {
+    buildDocumentModel,
+    documentTexts,
+    narratedTexts,
+    writeDocumentModel,
+    readDocumentModel
+};
@@ -0,0 +1,107 @@
+const { readPdfObjects } = require('./pdf-objects');
+
+// pdf.js-extract only reports opaque font ids ("g_d0_f3"), so the real fonts
+// are read from the PDF and matched to those ids by glyph widths: each font's
+// /Widths table predicts how wide its text items should be
+
+const BOLD_NAME = /bold|heavy|black|demi/i;
+const ITALIC_NAME = /italic|oblique/i;
+const FLAG_ITALIC = 1 << 6;
+const FLAG_FORCE_BOLD = 1 << 18;
+
+// Map of pdf.js font id -> { name, bold, italic }
+function readFontStyles(pdfPath, data) {
+    const fonts = readPdfFonts(pdfPath);
+    const itemsByFont = new Map();
+    data.pages.forEach(page => page.content.forEach(item => {
+        // Only plain ASCII maps to the same codes in every simple font encoding
+        if (!item.str.trim() || /[^\x20-\x7e]/.test(item.str) || !item.width) return;
+        if (!itemsByFont.has(item.fontName)) itemsByFont.set(item.fontName, []);
+        itemsByFont.get(item.fontName).push(item);
+    }));
+
+    // Best fits first; each PDF font goes to one id, so fonts sharing a width
+    // table (Heavy and HeavyOblique) are told apart by which fits more text
+    const fits = [];
+    itemsByFont.forEach((items, fontName) => fonts.forEach(font => {
+        const error = widthError(font, items);
+        if (error !== null) fits.push({ fontName, font, error });
+    }));
+    fits.sort((a, b) => a.error - b.error || itemsByFont.get(b.fontName).length - itemsByFont.get(a.fontName).length);
+
+    const styles = new Map();
+    const used = new Set();
+    fits.forEach(({ fontName, font }) => {
+        if (styles.has(fontName) || used.has(font)) return;
+        styles.set(fontName, font.style);
+        used.add(font);
+    });
+    // More ids than fonts (pdf.js loaded one twice) - fall back to the best fit
+    fits.forEach(({ fontName, font }) => {
+        if (!styles.has(fontName)) styles.set(fontName, font.style);
+    });
+
+    return styles;
+}
+
+function readPdfFonts(pdfPath) {
+    const objects = readPdfObjects(pdfPath);
+    const resolve = value => {
+        const reference = /^(\d+)\s+\d+\s+R$/.exec(value.trim());
+        return reference ? objects.get(parseInt(reference[1], 10)) || '' : value;
+    };
+
+    const fonts = [];
+    objects.forEach(text => {
+        if (!/\/Type\s*\/Font\b/.test(text)) return;
+        const baseFont = /\/BaseFont\s*\/([^\s/<>[\]()]+)/.exec(text);
+        const firstChar = /\/FirstChar\s+(\d+)/.exec(text);
+        const widths = /\/Widths\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/.exec(text);
+        if (!baseFont || !firstChar || !widths) return;
+
+        const descriptorRef = /\/FontDescriptor\s+(\d+\s+\d+\s+R)/.exec(text);
+        const descriptor = descriptorRef ? resolve(descriptorRef[1]) : '';
+        // Subset fonts are prefixed with a tag: "AAAAAB+Avenir-Heavy"
+        const name = baseFont[1].replace(/^[A-Z]{6}\+/, '');
+        const flags = parseInt((/\/Flags\s+(\d+)/.exec(descriptor) || [])[1] || '0', 10);
+        const italicAngle = parseFloat((/\/ItalicAngle\s+(-?[\d.]+)/.exec(descriptor) || [])[1] || '0');
+        const weight = parseInt((/\/FontWeight\s+(\d+)/.exec(descriptor) || [])[1] || '0', 10);
+
+        fonts.push({
+            firstChar: parseInt(firstChar[1], 10),
+            widths: resolve(widths[1]).replace(/[[\]]/g, ' ').trim().split(/\s+/).map(Number),
+            style: {
+                name,
+                bold: BOLD_NAME.test(name) || weight >= 600 || (flags & FLAG_FORCE_BOLD) !== 0,
+                italic: ITALIC_NAME.test(name) || italicAngle !== 0 || (flags & FLAG_ITALIC) !== 0
+            }
+        });
+    });
+    return fonts;
+}
+
+// Mean relative difference between measured and predicted item widths, or
+// null if the font has no glyph for some of the text
+function widthError(font, items) {
+    let total = 0;
+    for (const item of items) {
+        let width = 0;
+        for (const character of item.str) {
+            const glyphWidth = font.widths[character.charCodeAt(0) - font.firstChar];
+            if (!glyphWidth && character !== ' ') return null;
+            width += glyphWidth || 0;
+        }
+        total += Math.abs(width * item.height / 1000 - item.width) / item.width;
+    }
+    return total / items.length;
+}
+
+function describeFont(style) {
+    const traits = [style.bold && 'bold', style.italic && 'italic'].filter(Boolean);
+    return traits.length > 0 ? `${style.name} (${traits.join(' ')})` : style.name;
+}
+
+module.exports = {
+    readFontStyles,
+    describeFont
+};
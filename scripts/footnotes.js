@@ -0,0 +1,72 @@
+const { LINE_Y_TOLERANCE, readLines } = require('./layout');
+
+// Footnotes are told apart from body text by size and position: markers are
+// small labels raised above a body line, notes are lines of small text below
+// the last body line on the page
+
+const FOOTNOTE_SIZE_RATIO = 0.85; // Text this much smaller than the body font is note-sized
+const MARKER_RAISE = 0.75; // A marker's baseline sits up to this many body heights above its line
+const NOTE_LABEL = /^(\d+|[*†‡§¶]+)\.?$/;
+const NOTE_START = /^(\d+|[*†‡§¶]+)\.?\s+(.*)$/;
+
+// { markers: [{ item, line, label }], notes: [{ label, lines }], items: Set } -
+// `items` holds every footnote item, so body text can skip them. `skip` drops
+// running heads and the like; page numbers are left to this function, since
+// markers are numbers too
+function readFootnotes(page, bodyFont, skip = () => false) {
+    const isSmall = item => Math.round(item.height) < bodyFont.height * FOOTNOTE_SIZE_RATIO;
+    const items = new Set();
+    const lines = readLines(page, skip);
+
+    const bodyLines = lines.filter(line => line.items.some(item => !isSmall(item)) && !isPageNumber(line));
+    const lastBodyY = bodyLines.length > 0 ? Math.max(...bodyLines.map(line => line.y)) : -Infinity;
+
+    // Notes: small lines below the body text. A line opening with a label
+    // starts a note, anything else continues the one before
+    const notes = [];
+    lines
+        .filter(line => line.y > lastBodyY + LINE_Y_TOLERANCE && line.items.every(isSmall) && !isPageNumber(line))
+        .sort((a, b) => a.y - b.y)
+        .forEach(line => {
+            const ordered = [...line.items].sort((a, b) => a.x - b.x);
+            const first = ordered[0].str.trim();
+            const start = NOTE_LABEL.test(first) ? [first, first, null] : NOTE_START.exec(first);
+            if (start) {
+                notes.push({ label: start[1].replace(/\.$/, ''), lines: [] });
+            }
+            if (notes.length === 0) return;
+
+            ordered.forEach(item => items.add(item));
+            // The label may share an item with the start of the note text
+            notes[notes.length - 1].lines.push({
+                items: start ? ordered.slice(1) : ordered,
+                lead: start && start[2] ? { text: start[2], item: ordered[0] } : null
+            });
+        });
+
+    // Markers: small labels raised above a body line and within its extent
+    const markers = [];
+    page.content.forEach(item => {
+        if (items.has(item) || skip(item) || !isSmall(item) || !NOTE_LABEL.test(item.str.trim())) return;
+        const line = bodyLines.find(candidate => {
+            const raise = candidate.y - item.y;
+            const right = Math.max(...candidate.items.map(other => other.x + other.width));
+            return raise > -LINE_Y_TOLERANCE && raise < bodyFont.height * MARKER_RAISE
+                && item.x >= candidate.x && item.x <= right + bodyFont.height;
+        });
+        if (line) {
+            markers.push({ item, line, label: item.str.trim().replace(/\.$/, '') });
+            items.add(item);
+        }
+    });
+
+    return { markers, notes, items };
+}
+
+function isPageNumber(line) {
+    return line.items.length === 1 && /^\d+$/.test(line.items[0].str.trim());
+}
+
+module.exports = {
+    readFootnotes
+};
@@ -0,0 +1,69 @@
+const doubleMetaphone = require('double-metaphone');
+
+// Near misses for the aligner, tried when words don't match exactly: Whisper
+// hears names and rare words as something close ("Brennsteiner" for
+// "Bredensteiner"). Two words match when they are a few edits apart, or a
+// few more if they also sound alike (share a Double Metaphone code)
+
+const DEFAULT_THRESHOLDS = {
+    maxDistance: 0.2, // Edits allowed, as a fraction of the longer word
+    phoneticDistance: 0.4, // Edits allowed when the words sound alike
+    minLength: 4 // Shorter words only ever match exactly
+};
+
+const phoneticCodes = new Map();
+
+// { distance, phonetic } for two normalized words that nearly match, or null
+function fuzzyMatch(a, b, thresholds = DEFAULT_THRESHOLDS) {
+    if (a.length < thresholds.minLength || b.length < thresholds.minLength) return null;
+
+    const longest = Math.max(a.length, b.length);
+    const allowed = Math.floor(longest * Math.max(thresholds.maxDistance, thresholds.phoneticDistance));
+    if (Math.abs(a.length - b.length) > allowed) return null;
+
+    const distance = editDistance(a, b, allowed);
+    if (distance > allowed) return null;
+    if (distance <= longest * thresholds.maxDistance) return { distance, phonetic: soundAlike(a, b) };
+    if (distance <= longest * thresholds.phoneticDistance && soundAlike(a, b)) return { distance, phonetic: true };
+    return null;
+}
+
+function fuzzyThresholds(options = {}) {
+    return { ...DEFAULT_THRESHOLDS, ...options };
+}
+
+// Levenshtein distance, giving up (returning limit + 1) once it must exceed limit
+function editDistance(a, b, limit) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowBest = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowBest = Math.min(rowBest, current[j]);
+        }
+        if (rowBest > limit) return limit + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function soundAlike(a, b) {
+    const codesA = metaphone(a);
+    const codesB = metaphone(b);
+    return codesA.some(code => code && codesB.includes(code));
+}
+
+function metaphone(word) {
+    if (!phoneticCodes.has(word)) phoneticCodes.set(word, doubleMetaphone(word));
+    return phoneticCodes.get(word);
+}
+
+module.exports = {
+    fuzzyMatch,
+    fuzzyThresholds
+};
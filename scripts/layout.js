@@ -0,0 +1,124 @@
+// Page layout measured from the PDF rather than hardcoded: which font is the
+// body text, where body lines start on each page, and where the text area
+// begins
+
+const LINE_Y_TOLERANCE = 1; // Items closer than this vertically share a line
+const MARGIN_TOLERANCE = 2; // Line starts within this of each other share a margin
+const MIN_MARGIN_PAGES = 3; // A margin has to recur on this many pages to count
+
+// The font carrying the most characters is the body text; anything set in
+// another font, or larger, is a candidate heading
+function measureBodyFont(data) {
+    const characterCounts = new Map();
+    data.pages.forEach(page => page.content.forEach(item => {
+        const key = `${item.fontName}|${Math.round(item.height)}`;
+        characterCounts.set(key, (characterCounts.get(key) || 0) + item.str.trim().length);
+    }));
+
+    const [key] = [...characterCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [''];
+    const [fontName, height] = key.split('|');
+    return { fontName, height: Number(height) };
+}
+
+// Anything set in another font than the body, or larger, may be a heading
+function isHeadingItem(item, bodyFont) {
+    return item.fontName !== bodyFont.fontName || Math.round(item.height) > bodyFont.height;
+}
+
+// Lines of text in reading order; `skip` drops items (running heads, page
+// numbers) before grouping
+function readLines(page, skip = () => false) {
+    const lines = [];
+    page.content.forEach(item => {
+        if (!item.str.trim() || skip(item)) return;
+        const line = lines.find(candidate => Math.abs(candidate.y - item.y) < LINE_Y_TOLERANCE);
+        if (line) {
+            line.items.push(item);
+            line.x = Math.min(line.x, item.x);
+        } else {
+            lines.push({ x: item.x, y: item.y, items: [item] });
+        }
+    });
+    return lines;
+}
+
+// Body font, margins, paragraph indent and text top across the chapter
+// pages. Pages alternate margins in a printed book, so each page's margin is
+// snapped to one that recurs across the book - a page that happens to hold
+// nothing but an indented quote still gets the right margin
+function measureLayout(data, chapters) {
+    const skip = item => item.str.trim().match(/^\d+$/)
+        || chapters.some(chapter => chapter.runningHeads.has(item) || chapter.headingItems.has(item));
+
+    const pageLines = new Map();
+    chapters.forEach(chapter => chapter.pages.forEach(pageIndex => {
+        const lines = readLines(data.pages[pageIndex], skip);
+        if (lines.length > 0) pageLines.set(pageIndex, lines);
+    }));
+
+    const candidates = new Map();
+    pageLines.forEach((lines, pageIndex) => candidates.set(pageIndex, candidateMargin(lines)));
+
+    const margins = mostCommon([...candidates.values()], MARGIN_TOLERANCE)
+        .filter(({ count }) => count >= MIN_MARGIN_PAGES)
+        .map(({ value }) => value)
+        .sort((a, b) => a - b);
+
+    const marginFor = pageIndex => {
+        const candidate = candidates.has(pageIndex)
+            ? candidates.get(pageIndex)
+            : candidateMargin(readLines(data.pages[pageIndex], skip));
+        const snapped = margins.filter(margin => margin <= candidate + MARGIN_TOLERANCE);
+        return snapped.length > 0 ? snapped[snapped.length - 1] : candidate;
+    };
+
+    // The paragraph indent is the most common way a line starts in from the
+    // margin
+    const offsets = [];
+    pageLines.forEach((lines, pageIndex) => lines.forEach(line => {
+        const offset = line.x - marginFor(pageIndex);
+        if (offset > MARGIN_TOLERANCE) offsets.push(offset);
+    }));
+    const [indent] = mostCommon(offsets, MARGIN_TOLERANCE);
+
+    const firstLineYs = [...pageLines.values()].map(lines => Math.min(...lines.map(line => line.y)));
+    const [top] = mostCommon(firstLineYs, LINE_Y_TOLERANCE);
+
+    return {
+        bodyFont: measureBodyFont(data),
+        textTop: top ? top.value : 0,
+        indent: indent ? indent.value : 0,
+        marginFor
+    };
+}
+
+// The leftmost x that starts at least two lines (a lone outdented item doesn't
+// make a margin), or simply the leftmost line start on a sparse page
+function candidateMargin(lines) {
+    const starts = lines.map(line => line.x).sort((a, b) => a - b);
+    const repeated = starts.find((x, index) => index + 1 < starts.length && starts[index + 1] - x < MARGIN_TOLERANCE);
+    return repeated !== undefined ? repeated : starts[0];
+}
+
+// Values clustered within `tolerance`, most frequent first
+function mostCommon(values, tolerance) {
+    const clusters = [];
+    values.forEach(value => {
+        const cluster = clusters.find(candidate => Math.abs(candidate.value - value) < tolerance);
+        if (cluster) {
+            cluster.count++;
+        } else {
+            clusters.push({ value, count: 1 });
+        }
+    });
+    return clusters.sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+    LINE_Y_TOLERANCE,
+    MARGIN_TOLERANCE,
+    isHeadingItem,
+    measureBodyFont,
+    measureLayout,
+    readLines
+};
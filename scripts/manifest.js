@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { chapterIdFor } = require('./chapters');
+
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'book.json');
+
+// Shape of book.json - checked before the build touches the PDF so a typo
+// fails fast with every problem listed, instead of half way through a build
+const PNG_FILE = { type: 'string', pattern: /^[^/\\]+\.png$/, hint: 'a .png file name' };
+const TRANSCRIPTION_FILE = { type: 'string', pattern: /\.json$/i, hint: 'a .json path' };
+
+const SCHEMA = {
+    type: 'object',
+    required: ['title', 'author', 'source', 'cover'],
+    properties: {
+        title: { type: 'string' },
+        subtitle: { type: 'string' },
+        author: { type: 'string' },
+        source: {
+            type: 'object',
+            required: ['pdf'],
+            properties: {
+                pdf: { type: 'string', pattern: /\.pdf$/i, hint: 'a .pdf path', file: true },
+                // Extra known words, one per line, for repairing words hyphenated across lines
+                wordList: { type: 'string', file: true }
+            }
+        },
+        // Either one recording of the whole book (file and transcription), or
+        // recordings of a few chapters each, so a chapter can be re-recorded
+        // on its own. A recording's chapters are names as in chapters below,
+        // plus COVER for the title, subtitle and byline
+        audio: {
+            type: 'object',
+            properties: {
+                file: { type: 'string' },
+                transcription: TRANSCRIPTION_FILE,
+                recordings: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['file', 'transcription', 'chapters'],
+                        properties: {
+                            file: { type: 'string' },
+                            transcription: TRANSCRIPTION_FILE,
+                            chapters: { type: 'array', minItems: 1, items: { type: 'string' } }
+                        }
+                    }
+                },
+                // Where npm run audio joins the chapter recordings into one
+                // (see prepare-audio.js); file when left out
+                combined: { type: 'string' },
+                // How names and jargon are spoken, for the aligner (see aliases.js)
+                aliases: { type: 'string', pattern: /\.json$/i, hint: 'a .json path', file: true },
+                // Hand corrections to the alignment (see overrides.js)
+                overrides: { type: 'string', pattern: /\.json$/i, hint: 'a .json path', file: true }
+            }
+        },
+        alignment: {
+            type: 'object',
+            properties: {
+                // Thresholds for near-miss word matches (see fuzzy-match.js)
+                fuzzy: {
+                    type: 'object',
+                    properties: {
+                        maxDistance: { type: 'number' },
+                        phoneticDistance: { type: 'number' },
+                        minLength: { type: 'number' }
+                    }
+                }
+            }
+        },
+        output: {
+            type: 'object',
+            properties: {
+                html: { type: 'string', pattern: /\.html$/i, hint: 'an .html path' },
+                model: { type: 'string', pattern: /\.json$/i, hint: 'a .json path' },
+                review: { type: 'string', pattern: /\.html$/i, hint: 'an .html path' },
+                retakes: { type: 'string', pattern: /\.json$/i, hint: 'a .json path' },
+                chapterMap: { type: 'string', pattern: /\.json$/i, hint: 'a .json path' },
+                chapterMetadata: { type: 'string' },
+                images: { type: 'string' }
+            }
+        },
+        // How the site's audio player behaves
+        player: {
+            type: 'object',
+            properties: {
+                // Table of contents links start the narration at their chapter
+                tocStartsNarration: { type: 'boolean' }
+            }
+        },
+        cover: {
+            type: 'object',
+            required: ['image', 'alt'],
+            properties: {
+                byline: { type: 'string' },
+                image: PNG_FILE,
+                alt: { type: 'string' }
+            }
+        },
+        // Optional per-chapter extras (image name, alt text, kind), matched to the
+        // chapters detected in the PDF by name
+        chapters: {
+            type: 'array',
+            unique: 'name',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    image: PNG_FILE,
+                    alt: { type: 'string' },
+                    // glossary reads the chapter's paragraphs as term - definition entries
+                    kind: { type: 'string', pattern: /^(chapter|glossary)$/, hint: '"chapter" or "glossary"' }
+                }
+            }
+        }
+    }
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'an array'
+};
+
+class ManifestError extends Error {
+    constructor(manifestPath, errors) {
+        const relativePath = path.relative(process.cwd(), manifestPath) || manifestPath;
+        super(`Invalid book manifest ${relativePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ManifestError';
+        this.errors = errors;
+    }
+}
+
+function loadManifest(manifestPath = DEFAULT_MANIFEST) {
+    manifestPath = path.resolve(manifestPath);
+
+    if (!fs.existsSync(manifestPath)) {
+        throw new ManifestError(manifestPath, ['file not found']);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new ManifestError(manifestPath, [`not valid JSON: ${error.message}`]);
+    }
+
+    const baseDir = path.dirname(manifestPath);
+    const errors = [];
+    validate(manifest, SCHEMA, 'manifest', errors, baseDir);
+    if (errors.length === 0 && manifest.audio) {
+        checkRecordings(manifest.audio, errors);
+    }
+    if (errors.length > 0) {
+        throw new ManifestError(manifestPath, errors);
+    }
+
+    manifest.output = Object.assign({
+        html: 'index.html',
+        model: 'book.model.json',
+        review: 'alignment-review.html',
+        retakes: 'retakes.json',
+        chapterMap: 'chapters.json',
+        chapterMetadata: 'chapters.ffmetadata',
+        images: 'images'
+    }, manifest.output);
+    if (manifest.audio && !manifest.audio.recordings) {
+        manifest.audio.recordings = [{ file: manifest.audio.file, transcription: manifest.audio.transcription }];
+    }
+    manifest.baseDir = baseDir;
+    return manifest;
+}
+
+// audio needs one form or the other, and each chapter can only be in one recording
+function checkRecordings(audio, errors) {
+    if (audio.recordings) {
+        if (audio.file !== undefined || audio.transcription !== undefined) {
+            errors.push('manifest.audio: give either file and transcription, or recordings, not both');
+        }
+        const seen = new Map();
+        audio.recordings.forEach((recording, index) => recording.chapters.forEach((name, chapterIndex) => {
+            const id = chapterIdFor(name);
+            if (seen.has(id)) {
+                errors.push(`manifest.audio.recordings[${index}].chapters[${chapterIndex}]: "${name}" is already in recordings[${seen.get(id)}]`);
+            } else {
+                seen.set(id, index);
+            }
+        }));
+        return;
+    }
+    ['file', 'transcription'].forEach(key => {
+        if (audio[key] === undefined) errors.push(`manifest.audio.${key}: is required (or give recordings instead)`);
+    });
+}
+
+function validate(value, schema, at, errors, baseDir) {
+    if (!matchesType(value, schema.type)) {
+        errors.push(`${at}: expected ${TYPE_NAMES[schema.type]}, got ${describe(value)}`);
+        return;
+    }
+
+    if (schema.type === 'string') {
+        if (value.trim() === '') {
+            errors.push(`${at}: must not be empty`);
+        } else if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${at}: expected ${schema.hint}, got "${value}"`);
+        } else if (schema.file && !fs.existsSync(path.join(baseDir, value))) {
+            errors.push(`${at}: file "${value}" does not exist`);
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${at}.${key}: is required`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties[key];
+            if (!propertySchema) {
+                errors.push(`${at}.${key}: unknown property (expected one of ${Object.keys(schema.properties).join(', ')})`);
+            } else {
+                validate(value[key], propertySchema, `${at}.${key}`, errors, baseDir);
+            }
+        });
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+        }
+        const seen = new Map();
+        value.forEach((item, index) => {
+            validate(item, schema.items, `${at}[${index}]`, errors, baseDir);
+            if (schema.unique && item && typeof item[schema.unique] === 'string') {
+                const key = item[schema.unique];
+                if (seen.has(key)) {
+                    errors.push(`${at}[${index}].${schema.unique}: duplicates ${at}[${seen.get(key)}] ("${key}")`);
+                } else {
+                    seen.set(key, index);
+                }
+            }
+        });
+    }
+}
+
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    return typeof value === 'string' ? `"${value}"` : typeof value;
+}
+
+function resolveBookPath(manifest, relativePath) {
+    return path.join(manifest.baseDir, relativePath);
+}
+
+module.exports = {
+    loadManifest,
+    resolveBookPath,
+    ManifestError
+};
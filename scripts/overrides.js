@@ -0,0 +1,117 @@
+const fs = require('fs');
+const { findPhrase } = require('./aliases');
+const { chapterIdFor } = require('./chapters');
+
+// Hand corrections to the alignment, kept in a JSON file so they survive
+// rebuilds. Each entry picks PDF words - by chapter and word index (counted
+// over the chapter's narrated words, from 0), or by a run of text - and
+// says what they are:
+//
+//   [
+//     { "chapter": "GLOSSARY", "word": 12, "text": "Recursion", "transcriptionIndex": 3950 },
+//     { "anchor": "meaning with an orientation", "offset": 1, "transcriptionIndex": 2491, "heard": "within" },
+//     { "anchor": "dollars and 24 cents", "start": 2108.3, "end": 2110.5 },
+//     { "chapter": "PREFACE", "word": 40, "words": 6, "unnarrated": true }
+//   ]
+//
+// An anchor picks all its words unless offset/words narrow it down, and may
+// be limited to a chapter. "text" and "heard" are optional checks that the
+// entry still points at the words it was written for
+
+class OverrideError extends Error {
+    constructor(filePath, message) {
+        super(`Invalid overrides file ${filePath}: ${message}`);
+        this.name = 'OverrideError';
+    }
+}
+
+function readOverrides(filePath) {
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new OverrideError(filePath, `not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+        throw new OverrideError(filePath, 'expected an array of overrides');
+    }
+
+    entries.forEach((entry, index) => {
+        const problem = entryProblem(entry);
+        if (problem) throw new OverrideError(filePath, `[${index}] ${problem}`);
+    });
+    return entries.map((entry, index) => ({ ...entry, number: index }));
+}
+
+function entryProblem(entry) {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) return 'expected an object';
+
+    const byIndex = entry.word !== undefined;
+    if (byIndex === (entry.anchor !== undefined)) return 'needs either "chapter" and "word", or "anchor"';
+    if (byIndex && (typeof entry.chapter !== 'string' || !isCount(entry.word))) {
+        return '"chapter" must be a chapter name and "word" a word index';
+    }
+    if (!byIndex && (typeof entry.anchor !== 'string' || !entry.anchor.trim())) return '"anchor" must be some text';
+    if (!byIndex && entry.chapter !== undefined && typeof entry.chapter !== 'string') return '"chapter" must be a chapter name';
+    if (entry.offset !== undefined && !isCount(entry.offset)) return '"offset" must be a word count';
+    if (entry.words !== undefined && !(isCount(entry.words) && entry.words > 0)) return '"words" must be a positive word count';
+
+    const actions = ['transcriptionIndex', 'start', 'unnarrated'].filter(key => entry[key] !== undefined);
+    if (actions.length !== 1) return 'needs exactly one of "transcriptionIndex", "start"/"end" or "unnarrated"';
+    if (entry.transcriptionIndex !== undefined && !isCount(entry.transcriptionIndex)) return '"transcriptionIndex" must be a word index';
+    if (entry.start !== undefined && !(typeof entry.start === 'number' && typeof entry.end === 'number' && entry.end >= entry.start)) {
+        return '"start" and "end" must be times in seconds, end after start';
+    }
+    if (entry.unnarrated !== undefined && entry.unnarrated !== true) return '"unnarrated" can only be true';
+    return null;
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// The PDF words an override applies to, as { pdfIndex, length }, or
+// { warning } when it no longer points at matching text - with missing set
+// when its words aren't among pdfWords at all. pdfWords are the aligner's
+// narrated words ({ word, chapter })
+function locateOverride(override, pdfWords) {
+    const inChapter = index => !override.chapter || chapterIdFor(pdfWords[index].chapter) === chapterIdFor(override.chapter);
+
+    if (override.anchor !== undefined) {
+        const starts = findPhrase(pdfWords.map(word => word.word), override.anchor).filter(inChapter);
+        if (starts.length === 0) return { warning: `"${override.anchor}" is no longer in the book`, missing: true };
+        if (starts.length > 1) return { warning: `"${override.anchor}" appears ${starts.length} times - make it longer or add a chapter` };
+
+        const anchorLength = override.anchor.trim().split(/\s+/).length;
+        const offset = override.offset || 0;
+        const length = override.words || (override.offset !== undefined ? 1 : anchorLength);
+        if (offset + length > anchorLength) return { warning: 'offset and words reach past the end of the anchor' };
+        return { pdfIndex: starts[0] + offset, length };
+    }
+
+    const chapterStart = pdfWords.findIndex((word, index) => inChapter(index));
+    if (chapterStart === -1) return { warning: `no chapter "${override.chapter}"`, missing: true };
+    const pdfIndex = chapterStart + override.word;
+    const length = override.words || 1;
+    if (pdfIndex + length > pdfWords.length || !inChapter(pdfIndex + length - 1)) {
+        return { warning: `"${override.chapter}" has no word ${override.word + length - 1}` };
+    }
+    if (override.text !== undefined && findPhrase([pdfWords[pdfIndex].word], override.text).length === 0) {
+        return { warning: `word ${override.word} is now "${pdfWords[pdfIndex].word}", not "${override.text}"` };
+    }
+    return { pdfIndex, length };
+}
+
+function describeOverride(override) {
+    const target = override.anchor !== undefined
+        ? `"${override.anchor}"`
+        : `${override.chapter} word ${override.word}`;
+    return `override ${override.number} (${target})`;
+}
+
+module.exports = {
+    readOverrides,
+    locateOverride,
+    describeOverride,
+    OverrideError
+};
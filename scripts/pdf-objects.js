@@ -0,0 +1,112 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Just enough of a PDF object reader to answer structural questions that
+// pdf.js-extract doesn't expose, such as which soft mask belongs to which image.
+// Returns a Map of object number -> object source text (streams left out)
+function readPdfObjects(pdfPath) {
+    const source = fs.readFileSync(pdfPath).toString('latin1');
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(source)) !== null) {
+        const object = readObjectBody(source, objectPattern.lastIndex);
+        // Later definitions win, the same as an incremental update would
+        objects.set(parseInt(match[1], 10), object.text);
+
+        if (object.stream !== null && /\/Type\s*\/ObjStm\b/.test(object.text)) {
+            unpackObjectStream(object, objects);
+        }
+        objectPattern.lastIndex = object.end;
+    }
+
+    return objects;
+}
+
+function readObjectBody(source, start) {
+    let index = start;
+    while (/\s/.test(source[index])) index++;
+
+    let text;
+    if (source.startsWith('<<', index)) {
+        const end = findDictionaryEnd(source, index);
+        text = source.slice(index, end);
+        index = end;
+    } else {
+        const end = source.indexOf('endobj', index);
+        text = source.slice(index, end === -1 ? source.length : end).trim();
+        return { text, stream: null, end: end === -1 ? source.length : end };
+    }
+
+    const streamMatch = /^\s*stream\r?\n/.exec(source.slice(index, index + 16));
+    if (!streamMatch) {
+        return { text, stream: null, end: index };
+    }
+
+    const streamStart = index + streamMatch[0].length;
+    const streamEnd = source.indexOf('endstream', streamStart);
+    return {
+        text,
+        stream: source.slice(streamStart, streamEnd === -1 ? source.length : streamEnd),
+        end: streamEnd === -1 ? source.length : streamEnd
+    };
+}
+
+function findDictionaryEnd(source, start) {
+    let depth = 0;
+    for (let index = start; index < source.length - 1; index++) {
+        const pair = source[index] + source[index + 1];
+        if (pair === '<<') {
+            depth++;
+            index++;
+        } else if (pair === '>>') {
+            depth--;
+            index++;
+            if (depth === 0) return index + 1;
+        }
+    }
+    return source.length;
+}
+
+// PDF 1.5+ exporters pack dictionaries into compressed object streams
+function unpackObjectStream(object, objects) {
+    if (!/\/Filter\s*\/FlateDecode\b/.test(object.text)) return;
+
+    const count = parseInt((/\/N\s+(\d+)/.exec(object.text) || [])[1], 10);
+    const first = parseInt((/\/First\s+(\d+)/.exec(object.text) || [])[1], 10);
+    if (!count || isNaN(first)) return;
+
+    let content;
+    try {
+        content = zlib.inflateSync(Buffer.from(object.stream, 'latin1')).toString('latin1');
+    } catch (error) {
+        return;
+    }
+
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+        const number = header[i * 2];
+        const offset = first + header[i * 2 + 1];
+        const nextOffset = i + 1 < count ? first + header[(i + 1) * 2 + 1] : content.length;
+        objects.set(number, content.slice(offset, nextOffset).trim());
+    }
+}
+
+// Map of image object number -> soft mask object number
+function readSoftMaskReferences(pdfPath) {
+    const softMasks = new Map();
+    readPdfObjects(pdfPath).forEach((text, number) => {
+        if (!/\/Subtype\s*\/Image\b/.test(text)) return;
+        const softMask = /\/SMask\s+(\d+)\s+\d+\s+R/.exec(text);
+        if (softMask) {
+            softMasks.set(number, parseInt(softMask[1], 10));
+        }
+    });
+    return softMasks;
+}
+
+module.exports = {
+    readPdfObjects,
+    readSoftMaskReferences
+};
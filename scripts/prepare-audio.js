@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { loadManifest, resolveBookPath, ManifestError } = require('./manifest');
+const { chapterIdFor } = require('./chapters');
+const { transcriptionPathFor } = require('./transcription-providers');
+
+// Raw voice memos -> the recordings the site plays. Each chapter's memo is
+// found by name, in manifest order: the chapter's id with underscores
+// ("about_the_author.m4a"), or several chapters in a row joined by "_and_"
+// ("cover_and_preface.m4a"). Every memo is noise gated, trimmed of silence at
+// either end and normalized to EBU R128 loudness (measured in a first pass,
+// applied in a second), then written as <name>_prepared.mp3 - never over the
+// committed <name>_gentle_gate.mp3 recordings and their transcriptions; point
+// book.json at the prepared ones once they're transcribed. Those are joined
+// into the combined recording. A step is skipped when nothing it reads - its
+// input files, or the settings below - has changed since it last ran, as
+// recorded in .audio-cache.json. Trimming moves every word, so rewriting a
+// recording that has a transcription is reported
+
+const RAW_EXTENSIONS = ['.m4a', '.wav', '.flac'];
+const GATE = 'agate=threshold=0.05:ratio=1.5:attack=5:release=200';
+const TRIM = 'silenceremove=start_periods=1:start_threshold=-50dB:start_silence=0.2';
+const LOUDNESS = { I: -16, TP: -1.5, LRA: 11 }; // Target loudness (LUFS), true peak (dBTP) and range (LU)
+const SAMPLE_RATE = 44100; // loudnorm works at 192kHz; bring it back down
+const BITRATE = '128k';
+const CACHE_FILE = '.audio-cache.json';
+
+class AudioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioError';
+    }
+}
+
+function prepareAudio() {
+    const manifestPath = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+    try {
+        const manifest = loadManifest(manifestPath);
+        console.log(`Preparing audio for "${manifest.title}"`);
+        const cachePath = resolveBookPath(manifest, CACHE_FILE);
+        const cache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {};
+
+        const { recordings, unrecorded } = findRecordings(manifest);
+        console.log(`Found ${recordings.length} chapter recordings:`);
+        recordings.forEach(recording => console.log(`    ${recording.source} → ${recording.chapters.join(', ')}`));
+        unrecorded.forEach(name => console.log(`    ✗ ${name} has no recording`));
+
+        recordings.forEach(recording => {
+            prepareRecording(manifest, recording, cache);
+            fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+        });
+
+        const combined = manifest.audio && (manifest.audio.combined || manifest.audio.file);
+        if (!combined) {
+            console.log('✗ No audio.combined in the manifest - combined recording skipped');
+        } else if (recordings.length > 0) {
+            combineRecordings(manifest, recordings, combined, cache);
+            fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+        }
+        console.log('Audio ready!');
+    } catch (error) {
+        if (error instanceof ManifestError || error instanceof AudioError) {
+            console.error(error.message);
+        } else {
+            console.error('Error preparing audio:', error);
+        }
+        process.exit(1);
+    }
+}
+
+// [{ source, output, chapters }] in reading order, and the chapters no memo covers
+function findRecordings(manifest) {
+    const chapters = ['COVER', ...(manifest.chapters || []).map(chapter => chapter.name)];
+    const names = chapters.map(name => chapterIdFor(name).replace(/-/g, '_'));
+    const recordings = [];
+    const unrecorded = [];
+
+    for (let index = 0; index < chapters.length;) {
+        // The memo covering the most chapters from here on
+        let recording = null;
+        for (let count = chapters.length - index; count >= 1 && !recording; count--) {
+            const name = names.slice(index, index + count).join('_and_');
+            const extension = RAW_EXTENSIONS.find(candidate => fs.existsSync(resolveBookPath(manifest, name + candidate)));
+            if (extension) {
+                recording = { source: name + extension, output: `${name}_prepared.mp3`, chapters: chapters.slice(index, index + count) };
+            }
+        }
+        if (recording) {
+            recordings.push(recording);
+            index += recording.chapters.length;
+        } else {
+            unrecorded.push(chapters[index]);
+            index++;
+        }
+    }
+    return { recordings, unrecorded };
+}
+
+function prepareRecording(manifest, recording, cache) {
+    const sourcePath = resolveBookPath(manifest, recording.source);
+    const outputPath = resolveBookPath(manifest, recording.output);
+    const filters = [GATE, TRIM, 'areverse', TRIM, 'areverse'];
+    const key = stepKey([sourcePath], { filters, LOUDNESS, SAMPLE_RATE, BITRATE });
+    const cached = cache[recording.output];
+    if (cached && cached.key === key && fs.existsSync(outputPath)) {
+        console.log(`    ✓ ${recording.output} (unchanged)`);
+        return;
+    }
+
+    // First pass measures the gated, trimmed audio; the second normalizes it linearly
+    const target = `I=${LOUDNESS.I}:TP=${LOUDNESS.TP}:LRA=${LOUDNESS.LRA}`;
+    const measured = loudnessOf(ffmpeg(['-i', sourcePath, '-af', [...filters, `loudnorm=${target}:print_format=json`].join(','), '-f', 'null', '-']));
+    const normalize = `loudnorm=${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`
+        + `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+    ffmpeg(['-y', '-i', sourcePath, '-af', [...filters, normalize].join(','), '-ar', String(SAMPLE_RATE), '-codec:a', 'libmp3lame', '-b:a', BITRATE, outputPath]);
+
+    cache[recording.output] = { key, loudness: parseFloat(measured.input_i) };
+    console.log(`    ✓ ${recording.output} (${measured.input_i} LUFS → ${LOUDNESS.I} LUFS)`);
+    warnIfTranscribed(manifest, recording.output);
+}
+
+// The chapter recordings back to back, copied rather than re-encoded
+function combineRecordings(manifest, recordings, combined, cache) {
+    const outputPath = resolveBookPath(manifest, combined);
+    const inputs = recordings.map(recording => resolveBookPath(manifest, recording.output));
+    const key = stepKey(inputs, {});
+    if (cache[combined] && cache[combined].key === key && fs.existsSync(outputPath)) {
+        console.log(`    ✓ ${combined} (unchanged)`);
+        return;
+    }
+
+    const listPath = `${outputPath}.list.txt`;
+    fs.writeFileSync(listPath, inputs.map(input => `file '${input.replace(/'/g, "'\\''")}'`).join('\n') + '\n');
+    try {
+        ffmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath]);
+    } finally {
+        fs.unlinkSync(listPath);
+    }
+    cache[combined] = { key };
+    console.log(`    ✓ ${combined} (${recordings.length} recordings combined, ${Math.round(fs.statSync(outputPath).size / 1024 / 1024)}MB)`);
+    warnIfTranscribed(manifest, combined);
+}
+
+// A transcription beside a recording that was just rewritten no longer matches it
+function warnIfTranscribed(manifest, file) {
+    const transcriptionPath = transcriptionPathFor(resolveBookPath(manifest, file));
+    if (fs.existsSync(transcriptionPath)) {
+        console.log(`      ✗ ${path.relative(manifest.baseDir, transcriptionPath)} is out of date - npm run transcribe -- ${file}`);
+    }
+}
+
+// Hash of the input files' contents and the step's settings
+function stepKey(files, settings) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => hash.update(fs.readFileSync(file)));
+    hash.update(JSON.stringify(settings));
+    return hash.digest('hex');
+}
+
+// FFmpeg's log (stderr), which is where loudnorm reports its measurements
+function ffmpeg(args) {
+    const result = spawnSync('ffmpeg', ['-hide_banner', '-nostats', ...args], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (result.error && result.error.code === 'ENOENT') {
+        throw new AudioError('ffmpeg not found - install FFmpeg to prepare the audio');
+    }
+    if (result.status !== 0) {
+        throw new AudioError(`ffmpeg failed: ${(result.stderr || '').trim().split('\n').pop()}`);
+    }
+    return result.stderr;
+}
+
+// loudnorm's JSON block at the end of the log
+function loudnessOf(log) {
+    const json = /\{[^{}]*"input_i"[^{}]*\}/.exec(log);
+    if (!json) throw new AudioError('ffmpeg loudnorm gave no measurements');
+    return JSON.parse(json[0]);
+}
+
+prepareAudio();
@@ -0,0 +1,1052 @@
+// Renders the document model (see document-model.js) as the single page site
+
+let referencedNotes = new Set(); // Footnote ids referenced so far in this render
+let recordingEnds = []; // Per recording, the end of its last timed word so far
+
+// options.audioSources are the URLs of the book's recordings, in the order
+// the words' timing.recording numbers them, options.chapterMap where each
+// chapter's narration starts (see chapter-map.js), if there is one, and
+// options.tocStartsNarration whether table of contents links play from there
+function renderHtml(model, options) {
+    const { imagesUrl, audioSources = [], chapterMap = null, tocStartsNarration = false, cacheBuster = Date.now() } = options;
+    let htmlContent = '';
+    referencedNotes = new Set();
+    recordingEnds = [];
+    
+    htmlContent += `
+<div class="cover-page">
+    <h1>${renderWords(model.cover.title.words)}</h1>
+    <div class="cover-illustration">
+        <img src="${imagesUrl}/${model.cover.figure.image}?v=${cacheBuster}" alt="${escapeHtml(model.cover.figure.alt)}" class="cover-image">
+    </div>
+    <p class="subtitle">${renderWords(model.cover.subtitle.words)}</p>
+    <p class="author">${renderWords(model.cover.byline.words)}</p>
+</div>
+`;
+    
+    if (model.chapters.length > 0) {
+        htmlContent += '<div class="toc-separator"></div>\n';
+        htmlContent += '<div class="table-of-contents">\n';
+        htmlContent += '<h2>TABLE OF CONTENTS</h2>\n';
+        model.chapters.forEach(chapter => {
+            htmlContent += `<a href="#" onclick="scrollToChapter('${chapter.id}'); return false;" class="toc-link">${escapeHtml(chapter.tocTitle)}</a>\n`;
+            htmlContent += renderTocSections(chapter.blocks.filter(block => block.type === 'heading' && block.level > 3 && block.id));
+        });
+        htmlContent += '</div>\n';
+        htmlContent += '<div class="toc-separator"></div>\n\n';
+    }
+    
+    
+    model.chapters.forEach((chapter, index) => {
+        if (index > 0) {
+            htmlContent += '<div class="chapter-separator">◆ ◆ ◆</div>\n';
+        }
+        
+        htmlContent += `<h2 class="chapter-header" id="${chapter.id}">${renderWords(chapter.title.words)}</h2>\n`;
+        
+        chapter.blocks.forEach(block => {
+            htmlContent += renderBlock(block, imagesUrl, cacheBuster);
+        });
+        htmlContent += renderNotes(chapter.notes || []);
+        
+        htmlContent += '\n';
+    });
+    
+    // Durations to start with, until the player has each recording's own
+    const mapped = number => (chapterMap && chapterMap.recordings[number] ? chapterMap.recordings[number].duration : 0);
+    const recordings = audioSources.map((src, number) => ({ src, duration: mapped(number) || recordingEnds[number] || 0 }));
+    const chapters = chapterMap ? chapterMap.chapters.filter(chapter => chapter.recording < recordings.length) : [];
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, maximum-scale=1.0, initial-scale=1.0, user-scalable=no">
+    <title>${escapeHtml(model.book.title)}</title>
+    <style>
+        body {
+            font-family: Georgia, serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 700px;
+            margin: 0 auto;
+            touch-action: manipulation;
+            padding: 10px 20px 20px 20px;
+        }
+        h1, h2, h3 {
+            font-weight: normal;
+            margin-top: 2em;
+        }
+        h1 {
+            font-size: 2.5em;
+            text-align: center;
+            margin-bottom: 2em;
+        }
+        .chapter {
+            margin-bottom: 4em;
+        }
+        .cover-page {
+            text-align: center;
+            margin: 2em 0;
+            padding: 1em;
+            page-break-after: always;
+        }
+        .cover-page h1 {
+            font-size: 2.5em;
+            margin: 0.5em 0 1em 0;
+            line-height: 1.2;
+        }
+        .cover-illustration {
+            margin: 2em 0;
+            max-width: 100%;
+            overflow: hidden;
+        }
+        .cover-image {
+            width: 100%;
+            max-width: 300px;
+            height: auto;
+            margin: 1em 0;
+            display: block;
+            margin-left: auto;
+            margin-right: auto;
+        }
+        .chapter-separator {
+            text-align: center;
+            font-size: 1.5em;
+            margin: 4em 0 3em;
+            color: #666;
+            letter-spacing: 0.5em;
+        }
+        .toc-separator {
+            margin: 2em 0;
+            border-top: 1px solid #ccc;
+            width: 60%;
+            margin-left: auto;
+            margin-right: auto;
+        }
+        .chapter-illustration {
+            text-align: center;
+            margin: 2em 0;
+            max-width: 100%;
+            overflow: hidden;
+        }
+        .chapter-image {
+            width: 100%;
+            max-width: 320px;
+            height: auto;
+            margin: 1em 0;
+            display: block;
+            margin-left: auto;
+            margin-right: auto;
+        }
+        .subtitle {
+            font-size: 1.1em;
+            margin: 1em 0;
+            line-height: 1.4;
+        }
+        .author {
+            margin-top: 2em;
+        }
+        .table-of-contents {
+            margin: 2em 0;
+            page-break-after: always;
+        }
+        .table-of-contents h2 {
+            text-align: center;
+            margin-bottom: 2em;
+        }
+        .chapter-header {
+            text-align: center;
+            font-size: 1.3em;
+            margin: 2em 0 1em;
+            page-break-before: always;
+            font-weight: bold;
+        }
+        
+        @media (min-width: 768px) {
+            .cover-page h1 {
+                font-size: 3em;
+            }
+            .cover-illustration {
+                margin: 3em 0;
+            }
+            .cover-image {
+                max-width: 400px;
+                max-height: 400px;
+                object-fit: contain;
+            }
+            .chapter-image {
+                max-width: 450px;
+                max-height: 400px;
+                object-fit: contain;
+            }
+            .subtitle {
+                font-size: 1.2em;
+            }
+            .chapter-header {
+                font-size: 1.5em;
+                margin: 3em 0 2em;
+            }
+            .table-of-contents {
+                margin: 3em 0;
+            }
+        }
+        
+        @media (min-width: 1024px) {
+            .cover-image {
+                max-width: 400px;
+                max-height: 400px;
+                object-fit: contain;
+            }
+            .chapter-image {
+                max-width: 500px;
+                max-height: 450px;
+                object-fit: contain;
+            }
+        }
+        
+        @media print {
+            .cover-page, .table-of-contents, .chapter-header {
+                page-break-inside: avoid;
+            }
+            .chapter-separator {
+                page-break-inside: avoid;
+            }
+        }
+        
+        .table-of-contents .toc-link {
+            color: #333;
+            text-decoration: none;
+            cursor: pointer;
+            display: block;
+            padding: 0.5em 0;
+            margin: 0.5em 0;
+        }
+        
+        .table-of-contents .toc-link:hover {
+            color: #666;
+            text-decoration: underline;
+        }
+        
+        .table-of-contents .toc-sections {
+            list-style: none;
+            margin: 0;
+            padding-left: 1.5em;
+            font-size: 0.9em;
+        }
+        
+        .table-of-contents .toc-sections .toc-link {
+            margin: 0;
+            padding: 0.25em 0;
+        }
+        blockquote {
+            background: #f2f2f2;
+            border-left: 4px solid #ccc;
+            margin: 2em 0;
+            padding: 1.5em 2em;
+            font-style: italic;
+        }
+        blockquote p {
+            margin: 0 0 1em 0;
+        }
+        blockquote cite {
+            display: block;
+            text-align: right;
+            font-style: normal;
+            margin-top: 0.5em;
+        }
+        
+        .footnote-ref a {
+            color: #666;
+            text-decoration: none;
+            padding: 0 0.1em;
+        }
+        
+        .footnotes {
+            border-top: 1px solid #ddd;
+            margin-top: 2em;
+            font-size: 0.9em;
+        }
+        
+        .footnotes ol {
+            list-style: none;
+            padding: 0;
+        }
+        
+        .footnotes li {
+            margin: 0.75em 0;
+        }
+        
+        .footnote-label {
+            font-weight: bold;
+            margin-right: 0.25em;
+        }
+        
+        .footnote-backlink {
+            color: #666;
+            text-decoration: none;
+        }
+        
+        /* Audio Player Styles */
+        .audio-controls {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: #fff;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            padding: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            z-index: 1000;
+            width: 300px;
+        }
+        
+        .audio-player {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+        
+        .play-pause-btn {
+            background: #333;
+            color: white;
+            border: none;
+            border-radius: 50%;
+            width: 40px;
+            height: 40px;
+            cursor: pointer;
+            font-size: 12px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-shrink: 0;
+        }
+        
+        .play-pause-btn:hover {
+            background: #555;
+        }
+        
+        .speed-btn {
+            background: #333;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            width: 40px;
+            height: 40px;
+            cursor: pointer;
+            font-size: 11px;
+            margin-left: 8px;
+            flex-shrink: 0;
+            touch-action: manipulation;
+            -webkit-user-select: none;
+            -webkit-touch-callout: none;
+            -webkit-tap-highlight-color: transparent;
+            user-select: none;
+        }
+        
+        .speed-btn:hover {
+            background: #555;
+        }
+        
+        .quality-btn {
+            width: 32px;
+            margin-left: 4px;
+            border-bottom: 3px solid transparent;
+        }
+        
+        .quality-btn[aria-pressed="true"] {
+            border-bottom-color: #e8b84a;
+        }
+        
+        .audio-progress {
+            flex: 1;
+            height: 4px;
+            background: #ddd;
+            border-radius: 2px;
+            cursor: pointer;
+            position: relative;
+        }
+        
+        .audio-progress-bar {
+            height: 100%;
+            background: #333;
+            border-radius: 2px;
+            width: 0%;
+            transition: width 0.1s ease;
+        }
+        
+        .audio-time {
+            font-size: 0.75em;
+            color: #666;
+            min-width: 30px;
+        }
+        
+        /* Chapter marks, with a wider invisible edge to hover over */
+        .chapter-mark {
+            position: absolute;
+            top: -3px;
+            width: 2px;
+            height: 10px;
+            margin-left: -4px;
+            border: solid transparent;
+            border-width: 0 3px;
+            background: #999;
+            background-clip: padding-box;
+        }
+        
+        .audio-chapter {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+        }
+        
+        .chapter-btn {
+            background: none;
+            color: #333;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            width: 28px;
+            height: 24px;
+            cursor: pointer;
+            font-size: 11px;
+            flex-shrink: 0;
+            touch-action: manipulation;
+        }
+        
+        .chapter-btn:hover {
+            background: #f0f0f0;
+        }
+        
+        .chapter-label {
+            flex: 1;
+            font-size: 0.75em;
+            color: #666;
+            text-align: center;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        
+        
+        /* Audio Highlighting Styles */
+        .audio-word {
+            cursor: pointer;
+            border-radius: 2px;
+        }
+        
+        .audio-word:hover {
+            background-color: #f0f0f0;
+        }
+
+        .audio-word.current {
+            background-color: #ffe066;
+        }
+
+        .audio-word[data-estimated].current {
+            background-color: #fff3b3;
+        }
+
+        /* Alignment quality overlay, toggled by the quality button */
+        .show-quality .quality-high {
+            border-bottom: 2px solid #8cc68a;
+        }
+
+        .show-quality .quality-medium {
+            border-bottom: 2px solid #e8b84a;
+        }
+
+        .show-quality .quality-low {
+            border-bottom: 2px solid #d9574b;
+        }
+    </style>
+    <script>
+        // A table of contents link. With startNarration (by default the
+        // manifest's player.tocStartsNarration) the narration plays from there
+        function scrollToChapter(chapterId, startNarration = TOC_STARTS_NARRATION) {
+            const element = document.getElementById(chapterId);
+            if (element) {
+                element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+            if (startNarration) {
+                playFrom(chapterId);
+            }
+        }
+        
+        // Audio Player and Highlighting
+        // The narration may be split over several recordings, played one after
+        // another. Two audio elements take turns: while one plays, the other
+        // loads the next recording, so it can take over at the end without a gap
+        const recordings = ${JSON.stringify(recordings)};
+        const PRELOAD_SECONDS = 30; // Start loading the next recording this long before the end
+        const chapters = ${JSON.stringify(chapters)}; // Where each chapter starts, in its recording
+        const TOC_STARTS_NARRATION = ${tocStartsNarration};
+        const RESTART_SECONDS = 3; // "Previous" further than this into a chapter goes back to its start
+        let currentChapter = -1;
+        let audio = null; // The element playing
+        let nextAudio = null; // The other one
+        let currentRecording = 0;
+        let isPlaying = false;
+        let currentWord = null;
+        let audioWords = [];
+        let recordingWords = []; // audioWords by recording
+        let syncOffset = 0.3; // Fixed sync offset in seconds to compensate for highlighting delay
+        
+        // Speed control
+        const speeds = [1, 1.25, 1.5, 1.75];
+        let currentSpeedIndex = 0;
+        
+        document.addEventListener('DOMContentLoaded', function() {
+            initializeAudioPlayer();
+            collectAudioWords();
+        });
+        
+        function initializeAudioPlayer() {
+            audio = document.getElementById('audioPlayer');
+            nextAudio = document.getElementById('audioPlayerNext');
+            const playBtn = document.getElementById('playBtn');
+            const progressBar = document.getElementById('progressBar');
+            const progress = document.getElementById('progress');
+            const currentTime = document.getElementById('currentTime');
+            const duration = document.getElementById('duration');
+            const speedBtn = document.getElementById('speedBtn');
+            
+            if (!audio) return;
+            
+            // Play/Pause button
+            playBtn.addEventListener('click', togglePlay);
+            
+            // Progress bar
+            progressBar.addEventListener('click', seek);
+            
+            // Speed button
+            speedBtn.addEventListener('click', toggleSpeed);
+            
+            // Chapter buttons and marks
+            if (chapters.length > 0) {
+                document.getElementById('prevChapterBtn').addEventListener('click', previousChapter);
+                document.getElementById('nextChapterBtn').addEventListener('click', nextChapter);
+                addChapterMarks();
+            }
+            
+            // Audio events, only from the element playing
+            [audio, nextAudio].forEach(element => {
+                const whilePlaying = handler => () => {
+                    if (element === audio) handler();
+                };
+                element.addEventListener('timeupdate', whilePlaying(updateProgress));
+                element.addEventListener('timeupdate', whilePlaying(preloadNextRecording));
+                element.addEventListener('loadedmetadata', () => {
+                    applyPendingTime(element);
+                    updateDuration(element);
+                });
+                element.addEventListener('ended', whilePlaying(onAudioEnded));
+                
+                // Update highlighting during playback
+                element.addEventListener('timeupdate', whilePlaying(updateWordHighlighting));
+            });
+            updateDuration(audio);
+            updateChapterLabel();
+        }
+        
+        function collectAudioWords() {
+            audioWords = Array.from(document.querySelectorAll('[data-word]')).map(span => ({
+                element: span,
+                start: parseFloat(span.dataset.start),
+                end: parseFloat(span.dataset.end),
+                recording: parseInt(span.dataset.recording || '0')
+            })).sort((a, b) => a.recording - b.recording || a.start - b.start);
+            recordingWords = recordings.map((recording, number) => audioWords.filter(word => word.recording === number));
+            
+            // Add click handlers to words for seeking
+            audioWords.forEach(word => {
+                word.element.classList.add('audio-word');
+                word.element.addEventListener('click', () => seekToWord(word));
+            });
+
+            // The quality button, hidden when nothing was aligned. ?quality in
+            // the URL starts with the overlay shown
+            const qualityBtn = document.getElementById('qualityBtn');
+            qualityBtn.hidden = !audioWords.some(word => word.element.dataset.confidence);
+            qualityBtn.addEventListener('click', toggleQuality);
+            showAlignmentQuality(new URLSearchParams(window.location.search).has('quality'));
+        }
+
+        // Underline every word by how sure the aligner is of its timing
+        function showAlignmentQuality(show) {
+            document.body.classList.toggle('show-quality', show);
+            document.getElementById('qualityBtn').setAttribute('aria-pressed', String(show));
+            audioWords.forEach(word => {
+                const confidence = parseFloat(word.element.dataset.confidence);
+                if (isNaN(confidence)) return;
+                const quality = confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+                word.element.classList.add('quality-' + quality);
+                if (show) {
+                    word.element.title = 'Alignment confidence ' + Math.round(confidence * 100) + '%';
+                } else {
+                    word.element.removeAttribute('title');
+                }
+            });
+        }
+        
+        function toggleQuality(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            showAlignmentQuality(!document.body.classList.contains('show-quality'));
+        }
+        
+        function togglePlay() {
+            if (!audio) return;
+            
+            if (isPlaying) {
+                audio.pause();
+                document.getElementById('playBtn').textContent = '▶';
+                isPlaying = false;
+            } else {
+                audio.play();
+                document.getElementById('playBtn').textContent = '⏸';
+                isPlaying = true;
+            }
+        }
+        
+        function toggleSpeed(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!audio) return;
+            
+            currentSpeedIndex = (currentSpeedIndex + 1) % speeds.length;
+            const newSpeed = speeds[currentSpeedIndex];
+            // The default rate survives loading another recording
+            [audio, nextAudio].forEach(element => {
+                element.defaultPlaybackRate = newSpeed;
+                element.playbackRate = newSpeed;
+            });
+            document.getElementById('speedBtn').textContent = newSpeed + '×';
+        }
+        
+        function seek(e) {
+            if (!audio) return;
+            
+            const progressBar = e.currentTarget;
+            const rect = progressBar.getBoundingClientRect();
+            const percent = (e.clientX - rect.left) / rect.width;
+            
+            // Find the recording that time falls in
+            let time = percent * totalDuration();
+            let number = 0;
+            while (number < recordings.length - 1 && time >= recordings[number].duration) {
+                time -= recordings[number].duration;
+                number++;
+            }
+            moveTo(number, time);
+        }
+        
+        function seekToWord(word) {
+            if (!audio) return;
+
+
+            moveTo(word.recording, word.start);
+            if (!isPlaying) {
+                togglePlay();
+            }
+        }
+        
+        // Narration from a chapter's start in the chapter map, or else from
+        // the first word of the heading with that id
+        function playFrom(id) {
+            if (!audio) return;
+            const chapter = chapters.find(chapter => chapter.id === id);
+            const heading = document.getElementById(id);
+            const firstWord = heading && audioWords.find(word => heading.contains(word.element));
+            if (chapter) {
+                moveTo(chapter.recording, chapter.start);
+            } else if (firstWord) {
+                moveTo(firstWord.recording, firstWord.start);
+            } else {
+                return;
+            }
+            if (!isPlaying) {
+                togglePlay();
+            }
+        }
+        
+        function previousChapter() {
+            const chapter = chapters[currentChapter];
+            const intoChapter = chapter && chapter.recording === currentRecording ? audio.currentTime - chapter.start : Infinity;
+            goToChapter(intoChapter > RESTART_SECONDS ? currentChapter : currentChapter - 1);
+        }
+        
+        function nextChapter() {
+            goToChapter(currentChapter + 1);
+        }
+        
+        // Seek to a chapter and show its heading, playing on if playing
+        function goToChapter(index) {
+            const chapter = chapters[Math.max(0, index)];
+            if (!audio || !chapter) return;
+            moveTo(chapter.recording, chapter.start);
+            scrollToChapter(chapter.id, false);
+        }
+        
+        // Move playback to a time in one of the recordings. If it's the one
+        // preloaded in the other element, that element takes over
+        function moveTo(number, time) {
+            if (currentWord) {
+                currentWord.element.classList.remove('current');
+                currentWord = null;
+            }
+            
+            if (number !== currentRecording) {
+                audio.pause();
+                if (nextAudio.dataset.recording === String(number)) {
+                    [audio, nextAudio] = [nextAudio, audio];
+                } else {
+                    loadRecording(audio, number);
+                }
+                currentRecording = number;
+                setTime(audio, time);
+                if (isPlaying) {
+                    audio.play();
+                }
+            } else {
+                setTime(audio, time);
+            }
+            updateProgress();
+        }
+        
+        // Some browsers drop a seek made before a recording's metadata has
+        // loaded, so it's made again once it has
+        function setTime(element, time) {
+            element.currentTime = time;
+            element.pendingTime = element.readyState === 0 ? time : undefined;
+        }
+        
+        function applyPendingTime(element) {
+            if (element.pendingTime === undefined) return;
+            element.currentTime = element.pendingTime;
+            element.pendingTime = undefined;
+        }
+        
+        function loadRecording(element, number) {
+            if (element.dataset.recording === String(number)) return;
+            element.dataset.recording = number;
+            element.pendingTime = undefined;
+            element.src = recordings[number].src;
+        }
+        
+        function preloadNextRecording() {
+            const next = currentRecording + 1;
+            if (next < recordings.length && audio.duration - audio.currentTime < PRELOAD_SECONDS) {
+                loadRecording(nextAudio, next);
+            }
+        }
+        
+        // Progress is through the whole book, across recordings
+        function updateProgress() {
+            if (!audio) return;
+            
+            const elapsed = bookTime(currentRecording, audio.currentTime);
+            const percent = (elapsed / totalDuration()) * 100;
+            document.getElementById('progress').style.width = percent + '%';
+            document.getElementById('currentTime').textContent = formatTime(elapsed);
+            updateChapterLabel();
+        }
+        
+        // The chapter playing is the last one started by now
+        function updateChapterLabel() {
+            let index = -1;
+            chapters.forEach((chapter, number) => {
+                if (chapter.recording < currentRecording || (chapter.recording === currentRecording && chapter.start <= audio.currentTime)) {
+                    index = number;
+                }
+            });
+            if (index === currentChapter) return;
+            currentChapter = index;
+            const label = document.getElementById('chapterLabel');
+            if (label) {
+                label.textContent = index >= 0 ? chapters[index].title : '';
+            }
+        }
+        
+        // A mark on the progress bar where each chapter starts, its title shown on hover
+        function addChapterMarks() {
+            const progressBar = document.getElementById('progressBar');
+            chapters.forEach(chapter => {
+                chapter.mark = document.createElement('div');
+                chapter.mark.className = 'chapter-mark';
+                chapter.mark.title = chapter.title;
+                progressBar.appendChild(chapter.mark);
+            });
+            placeChapterMarks();
+        }
+        
+        // Again whenever a recording's duration is known
+        function placeChapterMarks() {
+            const total = totalDuration();
+            chapters.forEach(chapter => {
+                if (chapter.mark && total > 0) {
+                    chapter.mark.style.left = (bookTime(chapter.recording, chapter.start) / total * 100) + '%';
+                }
+            });
+        }
+        
+        function updateDuration(element) {
+            if (!audio) return;
+            const recording = recordings[parseInt(element.dataset.recording || '0')];
+            if (recording && element.duration) {
+                recording.duration = element.duration;
+            }
+            document.getElementById('duration').textContent = formatTime(totalDuration());
+            placeChapterMarks();
+        }
+        
+        function totalDuration() {
+            return recordings.reduce((total, recording) => total + recording.duration, 0);
+        }
+        
+        // A time in one of the recordings, as a time through the whole book
+        function bookTime(number, time) {
+            return recordings.slice(0, number).reduce((total, recording) => total + recording.duration, 0) + time;
+        }
+        
+        function updateWordHighlighting() {
+            const currentTime = audio.currentTime + syncOffset;
+            
+            // Do we have a current word already?
+            if (currentWord) {
+                // Clear current highlighting if it ended
+                if (currentTime > currentWord.end) {
+                    currentWord.element.classList.remove('current');
+                    currentWord = null;
+
+                // Do nothing if currentWord is still good
+                } else {
+                    return;
+                }
+            }
+            
+            // Find current word and upcoming word for aggressive scrolling
+            const words = recordingWords[currentRecording] || [];
+            for (let i = 0; i < words.length; i++) {
+                const word = words[i];
+                if (word.start > currentTime) {
+                    continue;
+                }
+                if (currentTime >= word.start && currentTime <= word.end) {
+                    word.element.classList.add('current');
+                    currentWord = word;
+                    
+                    // Smart scrolling - only scroll if word is outside viewport
+                    scrollToWordIfNeeded(word.element);
+                    break;
+                } else if (currentTime < word.start) {
+                    break;
+                }
+            }
+        }
+        
+        function onAudioEnded() {
+            // On to the next recording, if there is one
+            if (currentRecording < recordings.length - 1) {
+                moveTo(currentRecording + 1, 0);
+                return;
+            }
+            
+            document.getElementById('playBtn').textContent = '▶';
+            isPlaying = false;
+            
+            // Clear current highlighting
+            if (currentWord) {
+                currentWord.element.classList.remove('current');
+                currentWord = null;
+            }
+        }
+        
+        function scrollToWordIfNeeded(element) {
+            const rect = element.getBoundingClientRect();
+            const windowHeight = window.innerHeight;
+            const topBuffer = 32; // 2em buffer from top (16px * 2)
+            const bottomBuffer = 80; // Offset from bottom for comfortable viewing
+            
+            // Only scroll if element is actually outside viewport or too close to edges
+            if (rect.top < topBuffer || rect.bottom > windowHeight - bottomBuffer) {
+                // Scroll with custom offset to maintain buffer
+                const elementTop = element.getBoundingClientRect().top + window.pageYOffset;
+                const targetPosition = elementTop - topBuffer;
+                
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: 'smooth'
+                });
+            }
+        }
+        
+        
+        function formatTime(seconds) {
+            const mins = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            return mins + ':' + (secs < 10 ? '0' : '') + secs;
+        }
+    </script>
+</head>
+<body>
+    <div class="audio-controls">${chapters.length > 0 ? `
+        <div class="audio-chapter">
+            <button id="prevChapterBtn" class="chapter-btn" title="Previous chapter" aria-label="Previous chapter">⏮</button>
+            <span id="chapterLabel" class="chapter-label"></span>
+            <button id="nextChapterBtn" class="chapter-btn" title="Next chapter" aria-label="Next chapter">⏭</button>
+        </div>` : ''}
+        <div class="audio-player">
+            <button id="playBtn" class="play-pause-btn">▶</button>
+            <div id="progressBar" class="audio-progress">
+                <div id="progress" class="audio-progress-bar"></div>
+            </div>
+            <span id="currentTime" class="audio-time">0:00</span>
+            <span>/</span>
+            <span id="duration" class="audio-time">0:00</span>
+            <button id="speedBtn" class="speed-btn">1×</button>
+            <button id="qualityBtn" class="speed-btn quality-btn" title="Show alignment quality" aria-label="Show alignment quality" aria-pressed="false">Aa</button>
+        </div>
+        <audio id="audioPlayer" preload="metadata" data-recording="0"${recordings.length > 0 ? ` src="${recordings[0].src}"` : ''}>
+            Your browser does not support the audio element.
+        </audio>
+        <audio id="audioPlayerNext" preload="auto"></audio>
+    </div>
+    
+    <div id="book-content">
+${htmlContent}
+    </div>
+</body>
+</html>`;
+}
+
+// Section headings nested by level under their chapter's entry
+function renderTocSections(headings) {
+    let html = '';
+    const open = []; // Levels of the lists currently open
+    headings.forEach(heading => {
+        while (open.length > 0 && open[open.length - 1] > heading.level) {
+            html += '</li></ul>\n';
+            open.pop();
+        }
+        if (open.length > 0 && open[open.length - 1] === heading.level) {
+            html += '</li>\n';
+        } else {
+            html += '<ul class="toc-sections">\n';
+            open.push(heading.level);
+        }
+        const text = heading.words.map(word => word.text).join(' ');
+        html += `<li><a href="#${heading.id}" onclick="scrollToChapter('${heading.id}'); return false;" class="toc-link">${escapeHtml(text)}</a>`;
+    });
+    while (open.pop() !== undefined) {
+        html += '</li></ul>\n';
+    }
+    return html;
+}
+
+function renderBlock(block, imagesUrl, cacheBuster) {
+    switch (block.type) {
+        case 'figure':
+            return `<div class="chapter-illustration">\n`
+                + `<img src="${imagesUrl}/${block.image}?v=${cacheBuster}" alt="${escapeHtml(block.alt)}" class="chapter-image">\n`
+                + `</div>\n\n`;
+        case 'heading': {
+            const id = block.id ? ` id="${block.id}"` : '';
+            return `<h${block.level}${id}>${renderWords(block.words)}</h${block.level}>\n`;
+        }
+        case 'paragraph':
+            return `<p>${renderWords(block.words)}</p>\n`;
+        case 'blockquote': {
+            let html = `<blockquote>\n`;
+            block.paragraphs.forEach(paragraph => {
+                html += `<p>${renderWords(paragraph.words)}</p>\n`;
+            });
+            if (block.citation) {
+                html += `<cite>${renderWords(block.citation.words)}</cite>\n`;
+            }
+            return html + `</blockquote>\n`;
+        }
+        case 'glossary-entry':
+            return `<p><strong>${renderWords(block.term.words)}</strong><br>${renderWords(block.definition.words)}</p>\n`;
+        default:
+            throw new Error(`Unknown block type "${block.type}" in document model`);
+    }
+}
+
+// Narrated words carry their timing as data attributes for the player, with
+// data-recording on words in any recording but the first, data-estimated on
+// words the aligner couldn't match and timed by their neighbours, and
+// data-confidence (0 to 1) saying how sure the aligner is of the timing.
+// Emphasized runs wrap whole word spans, so highlighting is unaffected
+function renderWords(words) {
+    const runs = [];
+    words.forEach(word => {
+        const last = runs[runs.length - 1];
+        if (last && !!last.em === !!word.em && !!last.strong === !!word.strong) {
+            last.words.push(word);
+        } else {
+            runs.push({ em: word.em, strong: word.strong, words: [word] });
+        }
+    });
+
+    return runs.map(run => {
+        let html = run.words.map(renderWord).join(' ');
+        if (run.em) html = `<em>${html}</em>`;
+        if (run.strong) html = `<strong>${html}</strong>`;
+        return html;
+    }).join(' ');
+}
+
+function renderWord(word) {
+    let html = escapeHtml(word.text);
+    if (word.timing) {
+        const estimated = word.timing.estimated ? ' data-estimated' : '';
+        const confidence = word.timing.confidence !== undefined ? ` data-confidence="${word.timing.confidence}"` : '';
+        const recording = word.timing.recording || 0;
+        const recordingAttribute = recording > 0 ? ` data-recording="${recording}"` : '';
+        recordingEnds[recording] = Math.max(recordingEnds[recording] || 0, word.timing.end);
+        // Estimated timings have no transcription word
+        const index = word.timing.index !== undefined ? `="${word.timing.index}"` : '';
+        html = `<span data-word${index}${recordingAttribute} data-start="${word.timing.start}" data-end="${word.timing.end}"${confidence}${estimated}>${html}</span>`;
+    }
+    if (word.footnote) {
+        html += renderNoteReference(word.footnote);
+    }
+    return html;
+}
+
+// Only the first reference to a note gets the id its back-link points to
+function renderNoteReference(footnote) {
+    const id = referencedNotes.has(footnote.id) ? '' : ` id="${footnote.id}-ref"`;
+    referencedNotes.add(footnote.id);
+    return `<sup class="footnote-ref"><a href="#${footnote.id}"${id} role="doc-noteref" aria-label="Note ${escapeHtml(footnote.label)}">${escapeHtml(footnote.label)}</a></sup>`;
+}
+
+function renderNotes(notes) {
+    if (notes.length === 0) return '';
+
+    let html = '<section class="footnotes" role="doc-endnotes" aria-label="Notes">\n<ol>\n';
+    notes.forEach(note => {
+        const backLink = referencedNotes.has(note.id)
+            ? ` <a href="#${note.id}-ref" class="footnote-backlink" role="doc-backlink" aria-label="Back to reference ${escapeHtml(note.label)}">↩</a>`
+            : '';
+        html += `<li id="${note.id}" role="doc-endnote"><span class="footnote-label">${escapeHtml(note.label)}</span> ${renderWords(note.words)}${backLink}</li>\n`;
+    });
+    return html + '</ol>\n</section>\n';
+}
+
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+module.exports = {
+    renderHtml,
+    escapeHtml
+};
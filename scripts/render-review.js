@@ -0,0 +1,226 @@
+const { narratedTexts } = require('./document-model');
+const { escapeHtml } = require('./render-html');
+const { normalizeWord } = require('./alignment');
+
+// A page for checking the alignment by ear: the book's narrated text with
+// every word coloured by how it matched, and the transcription words nothing
+// matched shown inline where they were heard. Clicking a word plays it
+
+const CONTEXT_SECONDS = 0.3; // Played either side of a clicked word
+
+// recordings are [{ chapters, transcription, gapLog, audioSrc }], gapLog null
+// for a recording that wasn't aligned
+function renderReview(model, recordings) {
+    const counts = { matched: 0, fuzzy: 0, missing: 0, skipped: 0 };
+    const body = recordings.map((recording, number) => (recording.gapLog
+        ? renderRecording(model, recording, number, counts)
+        : `<p class="note">No transcription for ${escapeHtml(recording.audioSrc)} - not reviewed.</p>\n`)).join('');
+    const sources = recordings.map(recording => recording.audioSrc);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Alignment review - ${escapeHtml(model.book.title)}</title>
+    <style>
+        body {
+            font-family: Georgia, serif;
+            line-height: 1.8;
+            color: #333;
+            max-width: 760px;
+            margin: 0 auto;
+            padding: 0 20px 40px 20px;
+        }
+        header {
+            position: sticky;
+            top: 0;
+            background: #fff;
+            border-bottom: 1px solid #ccc;
+            padding: 10px 0;
+            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+            font-size: 0.9em;
+        }
+        header audio {
+            width: 100%;
+        }
+        h2 {
+            font-weight: normal;
+            margin-top: 2em;
+        }
+        .w {
+            cursor: pointer;
+            border-radius: 3px;
+            padding: 0 1px;
+        }
+        .matched {
+            background: #e3f4e1;
+        }
+        .fuzzy {
+            background: #fde9b5;
+        }
+        .missing {
+            background: #f8c9c4;
+        }
+        .skipped {
+            color: #777;
+            font-style: italic;
+            text-decoration: line-through;
+        }
+        .skipped::before {
+            content: '[';
+        }
+        .skipped::after {
+            content: ']';
+        }
+        .w.playing {
+            outline: 2px solid #3b6ea5;
+        }
+        .note {
+            color: #777;
+            font-style: italic;
+        }
+        .legend span {
+            margin-right: 1em;
+        }
+    </style>
+</head>
+<body>
+<header>
+    <h1>Alignment review</h1>
+    <p class="legend">
+        <span class="w matched">${counts.matched} matched</span>
+        <span class="w fuzzy">${counts.fuzzy} fuzzy</span>
+        <span class="w missing">${counts.missing} not matched</span>
+        <span class="w skipped">${counts.skipped} only in the transcription</span>
+        <button type="button" id="nextProblem">Next problem</button>
+    </p>
+    <p>Click a word to hear it. Shift-click to play on from there.</p>
+    <audio id="audio" controls preload="auto" src="${sources[0]}"></audio>
+</header>
+<main>
+${body}</main>
+<script>
+    const audio = document.getElementById('audio');
+    const sources = ${JSON.stringify(sources)};
+    let loaded = 0; // Which recording the player has
+    let stopAt = null;
+    let playing = null;
+
+    document.addEventListener('click', event => {
+        const word = event.target.closest('main [data-start]');
+        if (!word) return;
+        if (playing) playing.classList.remove('playing');
+        playing = word;
+        word.classList.add('playing');
+        const recording = parseInt(word.dataset.recording, 10);
+        if (recording !== loaded) {
+            audio.src = sources[recording];
+            loaded = recording;
+        }
+        audio.currentTime = Math.max(0, parseFloat(word.dataset.start) - ${CONTEXT_SECONDS});
+        stopAt = event.shiftKey ? null : parseFloat(word.dataset.end) + ${CONTEXT_SECONDS};
+        audio.play();
+    });
+
+    audio.addEventListener('timeupdate', () => {
+        if (stopAt !== null && audio.currentTime >= stopAt) {
+            audio.pause();
+            stopAt = null;
+        }
+    });
+
+    // Scroll to the first problem below the top of the window
+    document.getElementById('nextProblem').addEventListener('click', () => {
+        const offset = document.querySelector('header').offsetHeight;
+        const next = [...document.querySelectorAll('main .fuzzy, main .missing, main .skipped')]
+            .find(word => word.getBoundingClientRect().top > offset + 5);
+        if (next) window.scrollBy({ top: next.getBoundingClientRect().top - offset - 40, behavior: 'smooth' });
+    });
+</script>
+</body>
+</html>
+`;
+}
+
+// The chapters read in one recording, counting words into counts
+function renderRecording(model, recording, number, counts) {
+    const { gapLog, transcription } = recording;
+    const matches = new Map(gapLog.matches.map(match => [match.pdfIndex, match]));
+    const fuzzy = new Map(gapLog.fuzzyMatches.map(match => [match.pdfIndex, match]));
+
+    // Skipped transcription words sit before the match that follows them
+    const skippedBefore = new Map();
+    const skippedAtEnd = [];
+    gapLog.gaps.filter(gap => gap.type === 'transcription_missing').forEach(gap => {
+        const words = gap.gapIndices.map(index => ({ index, ...transcription.words[index] }));
+        if (!gap.afterMatch) {
+            skippedAtEnd.push(...words);
+            return;
+        }
+        if (!skippedBefore.has(gap.afterMatch.pdfIndex)) skippedBefore.set(gap.afterMatch.pdfIndex, []);
+        skippedBefore.get(gap.afterMatch.pdfIndex).push(...words);
+    });
+
+    const texts = narratedTexts(model, recording.chapters);
+    const total = texts.reduce((sum, text) => sum + text.words.length, 0);
+
+    // An unmatched word plays the stretch between the matches either side of it
+    const previousEnd = [];
+    const nextStart = [];
+    for (let index = 0, time = 0; index < total; index++) {
+        previousEnd[index] = time;
+        if (matches.has(index)) time = matches.get(index).timing.end;
+    }
+    for (let index = total - 1, time = null; index >= 0; index--) {
+        nextStart[index] = time;
+        if (matches.has(index)) time = matches.get(index).timing.start;
+    }
+
+    counts.fuzzy += fuzzy.size;
+    counts.skipped += skippedAtEnd.length;
+    skippedBefore.forEach(words => { counts.skipped += words.length; });
+
+    const renderWord = (text, status, timing, title) => `<span class="w ${status}" data-recording="${number}" data-start="${timing.start}" data-end="${timing.end}" title="${escapeHtml(title)}">${escapeHtml(text)}</span>`;
+    const renderSkipped = word => `<span class="w skipped" data-recording="${number}" data-start="${word.start}" data-end="${word.end}" title="transcription word ${word.index}, only in the transcription">${escapeHtml(word.word)}</span>`;
+
+    let body = '';
+    let chapter = null;
+    let pdfIndex = 0;
+    texts.forEach(text => {
+        if (text.chapter !== chapter) {
+            chapter = text.chapter;
+            body += `<h2>${escapeHtml(chapter)}</h2>\n`;
+        }
+        const spans = text.words.map(word => {
+            const skipped = (skippedBefore.get(pdfIndex) || []).map(renderSkipped).join(' ');
+            const match = matches.get(pdfIndex);
+            let span;
+            if (fuzzy.has(pdfIndex)) {
+                const near = fuzzy.get(pdfIndex);
+                span = renderWord(word.text, 'fuzzy', near.timing, `heard as "${near.heard}" (${near.distance} edits${near.phonetic ? ', sounds alike' : ''})`);
+            } else if (match) {
+                counts.matched++;
+                span = renderWord(word.text, 'matched', match.timing, `transcription word ${match.transcriptionIndex}`);
+            } else if (word.narrated === false || (!normalizeWord(word.text) && !/\d/.test(word.text))) {
+                // Nothing to hear in a lone dash, or in words overridden as unnarrated
+                span = `<span class="unspoken">${escapeHtml(word.text)}</span>`;
+            } else {
+                counts.missing++;
+                const timing = { start: previousEnd[pdfIndex], end: nextStart[pdfIndex] === null ? previousEnd[pdfIndex] : nextStart[pdfIndex] };
+                span = renderWord(word.text, 'missing', timing, 'not matched in the transcription');
+            }
+            pdfIndex++;
+            return skipped ? `${skipped} ${span}` : span;
+        });
+        body += `<p>${spans.join(' ')}</p>\n`;
+    });
+    if (skippedAtEnd.length > 0) {
+        body += `<p>${skippedAtEnd.map(renderSkipped).join(' ')}</p>\n`;
+    }
+    return body;
+}
+
+module.exports = {
+    renderReview
+};
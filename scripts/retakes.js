@@ -0,0 +1,143 @@
+const fs = require('fs');
+const { normalizeWord } = require('./alignment');
+
+// Retakes and false starts: stretches of a recording where the narrator
+// stumbled and went back. They show up as transcription_missing gaps - words
+// heard that the aligner couldn't place - whose words are the book's text
+// around them said again:
+//
+//   false start  the gap is the start of the text right after it, perhaps
+//                broken off mid-word ("he went to the sto- he went to the store")
+//   repeat       the gap is the text right before it, said over
+//
+// Either way the cut runs from the start of the abandoned take to the start
+// of the one that follows, so the last take is the one kept. Proposed cuts go
+// to a JSON file, one entry per cut, to be approved by hand:
+//
+//   [
+//     { "recording": "book_audio.mp3", "kind": "false start", "start": 812.42, "end": 814.1,
+//       "heard": "He went to the sto", "text": "He went to the store", "approved": true }
+//   ]
+//
+// npm run cut-retakes then cuts the approved ones (see cut-retakes.js)
+
+const FILLERS = new Set(['um', 'uh', 'er', 'ah', 'hmm', 'mm']); // Ignored when comparing a gap with the text
+
+class RetakeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RetakeError';
+    }
+}
+
+// Proposed cuts in one recording, from its alignment's gap log
+function findRetakes(gapLog, transcription, recording) {
+    const matches = new Map(gapLog.matches.map(match => [match.pdfIndex, match]));
+    const words = transcription.words;
+    const retakes = [];
+
+    gapLog.gaps.filter(gap => gap.type === 'transcription_missing').forEach(gap => {
+        const keys = gap.gapIndices.map(index => normalizeWord(words[index].word)).filter(key => key && !FILLERS.has(key));
+        if (keys.length === 0) return;
+        const gapStart = words[gap.gapIndices[0]].start;
+
+        // The text from pdfIndex on, if every word of it was matched
+        const bookWords = pdfIndex => {
+            const run = keys.map((key, offset) => matches.get(pdfIndex + offset));
+            return run.every(Boolean) ? run : null;
+        };
+        const text = run => run.map(match => match.word).join(' ');
+
+        const after = gap.afterMatch && bookWords(gap.afterMatch.pdfIndex);
+        if (after && keys.every((key, offset) => {
+            const bookKey = normalizeWord(after[offset].word);
+            return offset === keys.length - 1 ? bookKey.startsWith(key) : bookKey === key;
+        })) {
+            retakes.push(proposal(recording, 'false start', gapStart, words[gap.afterMatch.transcriptionIndex].start, words, text(after)));
+            return;
+        }
+
+        const before = gap.beforeMatch && bookWords(gap.beforeMatch.pdfIndex - keys.length + 1);
+        if (before && keys.every((key, offset) => normalizeWord(before[offset].word) === key)) {
+            retakes.push(proposal(recording, 'repeat', words[before[0].transcriptionIndex].start, gapStart, words, text(before)));
+        }
+    });
+    return retakes;
+}
+
+function proposal(recording, kind, start, end, words, text) {
+    return {
+        recording,
+        kind,
+        start: round(start),
+        end: round(end),
+        heard: words.filter(word => word.start >= start && word.start < end).map(word => word.word).join(' '),
+        text,
+        approved: false
+    };
+}
+
+// Writes the proposals, keeping the approval of any cut already in the file
+// at the same place. Returns { proposed, approved }
+function writeRetakes(filePath, retakes) {
+    const previous = fs.existsSync(filePath) ? readRetakes(filePath) : [];
+    const key = retake => `${retake.recording}@${retake.start}-${retake.end}`;
+    const approved = new Set(previous.filter(retake => retake.approved).map(key));
+    retakes.forEach(retake => {
+        retake.approved = approved.has(key(retake));
+    });
+    fs.writeFileSync(filePath, JSON.stringify(retakes, null, 2) + '\n');
+    return { proposed: retakes.length, approved: retakes.filter(retake => retake.approved).length };
+}
+
+function readRetakes(filePath) {
+    const fail = message => {
+        throw new RetakeError(`Invalid retakes file ${filePath}: ${message}`);
+    };
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        fail(`not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) fail('expected an array of cuts');
+
+    entries.forEach((entry, index) => {
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) fail(`[${index}] expected an object`);
+        if (typeof entry.recording !== 'string') fail(`[${index}] "recording" must be an audio file name`);
+        if (typeof entry.start !== 'number' || typeof entry.end !== 'number' || entry.end <= entry.start) {
+            fail(`[${index}] "start" and "end" must be times in seconds, end after start`);
+        }
+        if (entry.approved !== undefined && typeof entry.approved !== 'boolean') fail(`[${index}] "approved" must be true or false`);
+    });
+    return entries;
+}
+
+// The transcription of the recording with cuts ([{ start, end }], in order,
+// not overlapping) taken out: words inside a cut dropped, and every later
+// time moved back by the audio cut before it. Cut times are rounded, so word
+// times are compared rounded too
+function cutTranscription(transcription, cuts) {
+    const shift = time => round(time - cuts.reduce((total, cut) => total + Math.min(Math.max(time - cut.start, 0), cut.end - cut.start), 0));
+    const words = transcription.words
+        .filter(word => !cuts.some(cut => round(word.start) >= cut.start && round(word.start) < cut.end))
+        .map(word => ({ ...word, start: shift(word.start), end: shift(word.end) }));
+    return {
+        ...transcription,
+        duration: shift(transcription.duration),
+        text: words.map(word => word.word).join(' '),
+        words
+    };
+}
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+module.exports = {
+    findRetakes,
+    writeRetakes,
+    readRetakes,
+    cutTranscription,
+    RetakeError
+};
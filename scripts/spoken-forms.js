@@ -0,0 +1,173 @@
+// How a written word is read aloud, so the book and the transcription can be
+// compared word for word: "1984" -> "nineteen eighty four", "21st" ->
+// "twenty first", "Dr." -> "doctor", "&" -> "and". Both sides go through the
+// same rules, so it doesn't matter whether Whisper wrote digits or words
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+// Cardinal -> ordinal for the last word of a number ("twenty one" -> "twenty first")
+const ORDINALS = {
+    one: 'first',
+    two: 'second',
+    three: 'third',
+    five: 'fifth',
+    eight: 'eighth',
+    nine: 'ninth',
+    twelve: 'twelfth'
+};
+
+// Keyed by the abbreviation in lower case, without its periods
+const ABBREVIATIONS = {
+    dr: ['doctor'],
+    mr: ['mister'],
+    mrs: ['missus'],
+    prof: ['professor'],
+    st: ['saint'],
+    jr: ['junior'],
+    sr: ['senior'],
+    vs: ['versus'],
+    etc: ['et', 'cetera'],
+    eg: ['for', 'example'],
+    ie: ['that', 'is']
+};
+
+const SYMBOLS = {
+    '&': ['and'],
+    '%': ['percent'],
+    '+': ['plus'],
+    '=': ['equals']
+};
+
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    '€': ['euro', 'euros', 'cent', 'cents']
+};
+
+const NUMBER = /^(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?$/;
+
+// Spoken words (lower case, letters only) for one written word; empty for
+// punctuation
+function spokenWords(text) {
+    let word = text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[‘’“”"]/g, '')
+        // Punctuation around the word, but not a currency or percent sign
+        .replace(/^[^\p{L}\p{N}$£€&%+=]+/u, '')
+        .replace(/[,;:!?)\]}]+$/, '');
+
+    if (SYMBOLS[word]) return SYMBOLS[word];
+
+    // An abbreviation is only one with its period ("Dr." but not "dr")
+    const abbreviation = ABBREVIATIONS[word.replace(/\./g, '')];
+    if (abbreviation && word.includes('.')) return abbreviation;
+    word = word.replace(/[.,;:!?)\]}]+$/, '');
+
+    // Hyphenated words are spoken part by part ("twenty-one", "1914-1918")
+    const parts = word.split(/[-‐–]/).filter(Boolean);
+    if (parts.length > 1) {
+        const numeric = parts.every(part => /^\d/.test(part));
+        return parts.flatMap((part, index) => (numeric && index > 0 ? ['to'] : []).concat(spokenWords(part)));
+    }
+
+    return spokenNumber(word) || letters(word);
+}
+
+function spokenNumber(word) {
+    const currency = /^([$£€])(.+)$/.exec(word);
+    if (currency) {
+        const number = NUMBER.exec(currency[2]);
+        if (!number) return null;
+        const [unit, units, subunit, subunits] = CURRENCIES[currency[1]];
+        const whole = parseInt(number[1].replace(/,/g, ''), 10);
+        const words = cardinal(whole).concat(whole === 1 ? unit : units);
+        const fraction = number[2] ? parseInt(number[2].padEnd(2, '0').slice(0, 2), 10) : 0;
+        return fraction > 0 ? words.concat('and', cardinal(fraction), fraction === 1 ? subunit : subunits) : words;
+    }
+
+    const percent = /^(.+)%$/.exec(word);
+    if (percent) {
+        const number = spokenNumber(percent[1]);
+        return number ? number.concat('percent') : null;
+    }
+
+    const ordinal = /^(\d+)(st|nd|rd|th)$/.exec(word);
+    if (ordinal) return toOrdinal(cardinal(parseInt(ordinal[1], 10)));
+
+    // "1960s" -> "nineteen sixties"
+    const decade = /^(\d+0)s$/.exec(word);
+    if (decade) {
+        const words = /^\d{4}$/.test(decade[1]) ? year(parseInt(decade[1], 10)) : cardinal(parseInt(decade[1], 10));
+        const last = words.pop();
+        return words.concat(last.endsWith('y') ? `${last.slice(0, -1)}ies` : `${last}s`);
+    }
+
+    // A unit run into a number: "3pm", "5km"
+    const unit = /^([\d,.]*\d)([a-z]+)$/.exec(word);
+    if (unit) {
+        const number = spokenNumber(unit[1]);
+        return number ? number.concat(unit[2]) : null;
+    }
+
+    const number = NUMBER.exec(word);
+    if (!number) return null;
+    // Four digits without a separator read as a year
+    const whole = /^\d{4}$/.test(number[1]) && !number[2]
+        ? year(parseInt(number[1], 10))
+        : cardinal(parseInt(number[1].replace(/,/g, ''), 10));
+    return number[2] ? whole.concat('point', [...number[2]].map(digit => ONES[digit])) : whole;
+}
+
+function cardinal(number) {
+    if (!Number.isSafeInteger(number)) return [];
+    if (number < 20) return [ONES[number]];
+    if (number < 100) return [TENS[Math.floor(number / 10)]].concat(number % 10 ? ONES[number % 10] : []);
+    if (number < 1000) {
+        return [ONES[Math.floor(number / 100)], 'hundred'].concat(number % 100 ? cardinal(number % 100) : []);
+    }
+
+    const words = [];
+    let scale = 0;
+    for (let rest = number; rest > 0; rest = Math.floor(rest / 1000), scale++) {
+        const group = rest % 1000;
+        if (group > 0) words.unshift(...cardinal(group).concat(SCALES[scale] || []));
+    }
+    return words;
+}
+
+// "1984" -> "nineteen eighty four", "1905" -> "nineteen oh five",
+// "2000" -> "two thousand", "2008" -> "two thousand eight"
+function year(number) {
+    const century = Math.floor(number / 100);
+    const rest = number % 100;
+    if (number >= 2000 && number < 2010) return cardinal(number);
+    if (rest === 0) return cardinal(century).concat('hundred');
+    return cardinal(century).concat(rest < 10 ? ['oh', ONES[rest]] : cardinal(rest));
+}
+
+function toOrdinal(words) {
+    const last = words.pop();
+    let ordinal;
+    if (ORDINALS[last]) {
+        ordinal = ORDINALS[last];
+    } else if (last.endsWith('y')) {
+        ordinal = `${last.slice(0, -1)}ieth`;
+    } else {
+        ordinal = `${last}th`;
+    }
+    return words.concat(ordinal);
+}
+
+function letters(word) {
+    const rest = word.replace(/[^a-z]/g, '');
+    return rest ? [rest] : [];
+}
+
+module.exports = {
+    spokenWords
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { documentTexts } = require('./document-model');
+
+// Cleanup of the extracted words before alignment: typesetting artifacts
+// (ligature characters, soft hyphens, words hyphenated across lines) are
+// undone so the words read - and match the transcription - as written
+
+const LIGATURES = {
+    'ﬀ': 'ff',
+    'ﬁ': 'fi',
+    'ﬂ': 'fl',
+    'ﬃ': 'ffi',
+    'ﬄ': 'ffl',
+    'ﬅ': 'st',
+    'ﬆ': 'st'
+};
+const SOFT_HYPHEN = '\u00ad';
+
+// A word broken at a line end: letters, then a hyphen (or soft hyphen)
+const LINE_END_HYPHEN = /[\p{L}][-\u2010\u00ad]$/u;
+
+// A word ending a single-quoted run: a quote after its last letter, digit
+// or punctuation mark, perhaps followed by more punctuation
+const CLOSING_SINGLE_QUOTE = /[\p{L}\p{N}.,;:!?)]['’][^\p{L}\p{N}]*$/u;
+
+// Clean every word in the model in place; `wordList` is a Set of known words
+// (see wordKey) used to decide whether a line-end hyphen is part of the word
+function cleanupDocument(model, wordList) {
+    const hyphenated = new Set();
+    documentTexts(model).forEach(({ words }) => words.forEach(word => {
+        if (/\p{L}-\p{L}/u.test(word.text)) hyphenated.add(word.text.toLowerCase().replace(/[^\p{L}-]/gu, ''));
+    }));
+
+    let joined = 0;
+    documentTexts(model).forEach(({ words }) => {
+        for (let i = 0; i < words.length; i++) {
+            while (i + 1 < words.length && LINE_END_HYPHEN.test(words[i].text)) {
+                words[i].text = joinLineBreak(words[i].text, words[i + 1].text, wordList, hyphenated);
+                words.splice(i + 1, 1);
+                joined++;
+            }
+            words[i].text = cleanCharacters(words[i].text, words[i].text.startsWith("'") && quoteClosesAfter(words, i));
+        }
+    });
+    return { joined };
+}
+
+// "some-" + "thing" -> "something" when the word list knows it, while real
+// compounds ("non-" + "supernatural") keep their hyphen. Soft hyphens only
+// ever mark a break
+function joinLineBreak(first, second, wordList, hyphenated) {
+    const stem = first.slice(0, -1);
+    if (first.endsWith(SOFT_HYPHEN)) return stem + second;
+
+    const compound = `${stem}-${second}`;
+    const compoundKey = compound.toLowerCase().replace(/[^\p{L}-]/gu, '');
+    if (!hyphenated.has(compoundKey) && wordList.has(wordKey(stem + second))) {
+        return stem + second;
+    }
+    return compound;
+}
+
+// Whether a single quote at the start of words[index] opens a quotation:
+// only if one closes later in the run (or the word itself) before another
+// opens. Otherwise it's an apostrophe standing in for letters, as in 'tis or
+// '90s
+function quoteClosesAfter(words, index) {
+    if (CLOSING_SINGLE_QUOTE.test(words[index].text.slice(1))) return true;
+    for (const word of words.slice(index + 1)) {
+        if (/^['‘]/.test(word.text)) return false;
+        if (CLOSING_SINGLE_QUOTE.test(word.text)) return true;
+    }
+    return false;
+}
+
+function cleanCharacters(text, opensQuote = false) {
+    return text
+        .replace(/[\ufb00-\ufb06]/g, ligature => LIGATURES[ligature])
+        .split(SOFT_HYPHEN).join('')
+        // The book sets curly quotes; straight ones that slipped through are
+        // curled to match: opening at the start of a word, closing elsewhere.
+        // A single one at the start opens only when opensQuote says so
+        .replace(/^"/, '“')
+        .replace(/"/g, '”')
+        .replace(/^'/, opensQuote ? '‘' : '’')
+        .replace(/'/g, '’');
+}
+
+// Known words: everything the book spells out in full, plus any extra lists
+// (the transcription, a word list file)
+function buildWordList(model, ...sources) {
+    const wordList = new Set();
+    documentTexts(model).forEach(({ words }) => words.forEach(word => {
+        if (!LINE_END_HYPHEN.test(word.text)) wordList.add(wordKey(word.text));
+    }));
+    sources.forEach(words => words.forEach(word => wordList.add(wordKey(word))));
+    wordList.delete('');
+    return wordList;
+}
+
+function readWordListFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function wordKey(text) {
+    return cleanCharacters(text).toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+module.exports = {
+    cleanupDocument,
+    buildWordList,
+    readWordListFile
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Where transcriptions come from. Every provider turns an audio file into
+// Whisper's verbose_json - { task, language, duration, text, words: [{ word,
+// start, end }] } - which is all the build reads:
+//   openai       the OpenAI Whisper API (needs OPENAI_API_KEY)
+//   whisper-cpp  a local whisper.cpp build, run with one word per segment
+//   fixture      a saved transcription replayed, for working offline
+
+class TranscriptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranscriptionError';
+    }
+}
+
+const PROVIDERS = {
+    openai: openaiProvider,
+    'whisper-cpp': whisperCppProvider,
+    fixture: fixtureProvider
+};
+
+// Largest file each provider accepts, in bytes (see audio-chunks.js)
+const UPLOAD_LIMITS = {
+    openai: 25 * 1024 * 1024
+};
+
+// { name, transcribe(audioFile), readsAudio, maxBytes? } for a provider
+// name, readsAudio false for one that never opens the audio file. options
+// are the command line flags: model and binary for whisper-cpp, fixture for
+// fixture
+function createProvider(name, options = {}) {
+    if (!PROVIDERS[name]) {
+        throw new TranscriptionError(`Unknown transcription provider "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return { name, transcribe: PROVIDERS[name](options), readsAudio: name !== 'fixture', maxBytes: UPLOAD_LIMITS[name] };
+}
+
+function openaiProvider() {
+    return async audioFile => {
+        requireAudio(audioFile);
+        if (!process.env.OPENAI_API_KEY) throw new TranscriptionError('OPENAI_API_KEY is not set (add it to .env)');
+
+        const OpenAI = require('openai');
+        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        try {
+            return await openai.audio.transcriptions.create({
+                file: fs.createReadStream(audioFile),
+                model: 'whisper-1',
+                response_format: 'verbose_json',
+                timestamp_granularities: ['word']
+            });
+        } catch (error) {
+            throw new TranscriptionError(`OpenAI could not transcribe ${audioFile}: ${error.message}`);
+        }
+    };
+}
+
+// whisper.cpp's CLI with --max-len 1 --split-on-word makes every segment a
+// word, which its JSON output gives in milliseconds
+function whisperCppProvider(options) {
+    const binary = options.binary || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    const model = options.model || process.env.WHISPER_CPP_MODEL;
+
+    return async audioFile => {
+        requireAudio(audioFile);
+        if (!model) throw new TranscriptionError('whisper-cpp needs a model: pass --model=path/to/ggml-model.bin or set WHISPER_CPP_MODEL');
+
+        const outputPrefix = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-cpp-')), 'transcription');
+        try {
+            await run(binary, ['-m', model, '-f', audioFile, '-l', options.language || 'en', '-ml', '1', '-sow', '-oj', '-of', outputPrefix]);
+            const result = JSON.parse(fs.readFileSync(`${outputPrefix}.json`, 'utf8'));
+            const words = result.transcription
+                .map(segment => ({ word: segment.text.trim(), start: segment.offsets.from / 1000, end: segment.offsets.to / 1000 }))
+                .filter(word => word.word && !/^\[.*\]$/.test(word.word));
+            return {
+                task: 'transcribe',
+                language: result.result ? result.result.language : options.language || 'en',
+                duration: words.length > 0 ? words[words.length - 1].end : 0,
+                text: words.map(word => word.word).join(' '),
+                words
+            };
+        } finally {
+            fs.rmSync(path.dirname(outputPrefix), { recursive: true, force: true });
+        }
+    };
+}
+
+function run(binary, args) {
+    return new Promise((resolve, reject) => {
+        execFile(binary, args, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                reject(new TranscriptionError(`${binary} not found - build whisper.cpp and put whisper-cli on the PATH, or pass --binary`));
+            } else if (error) {
+                reject(new TranscriptionError(`${binary} failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// options.fixture is a saved transcription, or a directory of them named as
+// transcriptionPathFor names them
+function fixtureProvider(options) {
+    if (!options.fixture) throw new TranscriptionError('fixture needs --fixture=path to a saved transcription or a directory of them');
+
+    return async audioFile => {
+        const fixturePath = fs.existsSync(options.fixture) && fs.statSync(options.fixture).isDirectory()
+            ? path.join(options.fixture, path.basename(transcriptionPathFor(audioFile)))
+            : options.fixture;
+        if (!fs.existsSync(fixturePath)) throw new TranscriptionError(`No fixture at ${fixturePath}`);
+        try {
+            return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        } catch (error) {
+            throw new TranscriptionError(`Fixture ${fixturePath} is not valid JSON: ${error.message}`);
+        }
+    };
+}
+
+function requireAudio(audioFile) {
+    if (!fs.existsSync(audioFile)) throw new TranscriptionError(`No audio file at ${audioFile}`);
+}
+
+// The alignment needs every word timed, in order
+function validateTranscription(transcription, audioFile) {
+    const fail = message => {
+        throw new TranscriptionError(`Transcription of ${audioFile} ${message}`);
+    };
+    if (!transcription || !Array.isArray(transcription.words) || transcription.words.length === 0) {
+        fail('has no word timestamps (word granularity must be requested)');
+    }
+    transcription.words.forEach((word, index) => {
+        if (typeof word.word !== 'string' || !Number.isFinite(word.start) || !Number.isFinite(word.end) || word.end < word.start) {
+            fail(`word ${index} (${JSON.stringify(word)}) has no valid start and end`);
+        }
+        if (index > 0 && word.start < transcription.words[index - 1].start) {
+            fail(`word ${index} ("${word.word}") starts before the word ahead of it`);
+        }
+    });
+    return transcription;
+}
+
+// cover_and_preface_gentle_gate.mp3 -> cover_and_preface_transcription.json,
+// beside it
+function transcriptionPathFor(audioFile) {
+    const name = path.basename(audioFile, path.extname(audioFile)).replace(/_gentle_gate$/, '');
+    return path.join(path.dirname(audioFile), `${name}_transcription.json`);
+}
+
+module.exports = {
+    createProvider,
+    validateTranscription,
+    transcriptionPathFor,
+    TranscriptionError
+};
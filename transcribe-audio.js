@@ -1,45 +1,77 @@
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const {
+  createProvider,
+  validateTranscription,
+  transcriptionPathFor,
+  TranscriptionError
+} = require('./scripts/transcription-providers');
+const { transcribeInChunks, MB } = require('./scripts/audio-chunks');
 
 // Load environment variables
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-async function transcribeAudio() {
-  const audioFile = path.join(__dirname, 'book_audio.mp3');
-  const outputFile = path.join(__dirname, 'book_audio_transcription.json');
-  
-  console.log('Transcribing audio file:', audioFile);
-  
-  try {
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(audioFile),
-      model: 'whisper-1',
-      response_format: 'verbose_json',
-      timestamp_granularities: ['word']
-    });
-    
-    console.log('Transcription completed successfully!');
-    console.log('Total words:', transcription.words.length);
-    console.log('Duration:', transcription.duration, 'seconds');
-    
-    // Write the transcription to file
-    fs.writeFileSync(outputFile, JSON.stringify(transcription, null, 2));
-    console.log('Transcription saved to:', outputFile);
-    
-    // Show first few words for verification
-    console.log('First 10 words:');
-    transcription.words.slice(0, 10).forEach((word, i) => {
-      console.log(`  ${i}: "${word.word}" (${word.start}s - ${word.end}s)`);
-    });
-    
-  } catch (error) {
-    console.error('Error transcribing audio:', error);
+// Transcribes each audio file named on the command line (book_audio.mp3 by
+// default) to <name>_transcription.json beside it, without the _gentle_gate
+// suffix of the filtered recordings, so a re-recorded chapter can be
+// transcribed on its own. --provider picks where the transcription comes
+// from (see scripts/transcription-providers.js). Files over the provider's
+// upload limit, or --max-chunk-mb, are transcribed in chunks cut at silences
+// (see scripts/audio-chunks.js), overlapping by --overlap seconds:
+//   node transcribe-audio.js cover_and_preface_gentle_gate.mp3
+//   node transcribe-audio.js --provider=whisper-cpp --model=ggml-base.en.bin cover_and_preface_gentle_gate.mp3
+//   node transcribe-audio.js --provider=fixture --fixture=saved/ cover_and_preface_gentle_gate.mp3
+//   node transcribe-audio.js --max-chunk-mb=10 --overlap=2 book_audio.mp3
+async function transcribeAll() {
+  const { flags, files } = parseArguments(process.argv.slice(2));
+  const provider = createProvider(flags.provider || 'openai', flags);
+  const chunking = {
+    maxBytes: flags['max-chunk-mb'] ? parseFloat(flags['max-chunk-mb']) * MB : undefined,
+    overlap: flags.overlap !== undefined ? parseFloat(flags.overlap) : undefined
+  };
+  for (const file of files.length > 0 ? files : ['book_audio.mp3']) {
+    await transcribeAudio(provider, path.resolve(__dirname, file), chunking);
   }
 }
 
-transcribeAudio();
\ No newline at end of file
+// --name=value flags, and everything else as audio files
+function parseArguments(args) {
+  const flags = {};
+  const files = [];
+  args.forEach(arg => {
+    const flag = /^--([^=]+)=(.*)$/.exec(arg);
+    if (flag) {
+      flags[flag[1]] = flag[2];
+    } else {
+      files.push(arg);
+    }
+  });
+  return { flags, files };
+}
+
+async function transcribeAudio(provider, audioFile, chunking) {
+  const outputFile = transcriptionPathFor(audioFile);
+
+  console.log(`Transcribing audio file with ${provider.name}:`, audioFile);
+
+  const transcription = validateTranscription(await transcribeInChunks(provider, audioFile, chunking), audioFile);
+
+  console.log('Transcription completed successfully!');
+  console.log('Total words:', transcription.words.length);
+  console.log('Duration:', transcription.duration, 'seconds');
+
+  // Write the transcription to file
+  fs.writeFileSync(outputFile, JSON.stringify(transcription, null, 2));
+  console.log('Transcription saved to:', outputFile);
+
+  // Show first few words for verification
+  console.log('First 10 words:');
+  transcription.words.slice(0, 10).forEach((word, i) => {
+    console.log(`  ${i}: "${word.word}" (${word.start}s - ${word.end}s)`);
+  });
+}
+
+transcribeAll().catch(error => {
+  console.error(error instanceof TranscriptionError ? `✗ ${error.message}` : error);
+  process.exit(1);
+});